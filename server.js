@@ -6,6 +6,9 @@ const csv = require('csv-parser');
 const fs = require('fs');
 const path = require('path');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const cron = require('node-cron');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -26,49 +29,124 @@ pool.connect((err, client, release) => {
     }
 });
 
+// Session configuration
+const SESSION_COOKIE = 'stockist_session';
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const SESSION_REMEMBER_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days with "remember me"
+
+// Roles, from most to least privileged
+const ROLES = ['admin', 'editor', 'viewer'];
+
+// Pages anyone may load, and pages reserved for admins
+const PUBLIC_PAGES = ['/login', '/login.html'];
+const ADMIN_PAGES = ['/settings', '/settings.html'];
+
 // Middleware
-app.use(express.static('public'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(loadSession);
+
+// HTML pages are only served to signed-in users
+app.use((req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+    if (req.path !== '/' && path.extname(req.path) !== '.html') return next();
+    if (PUBLIC_PAGES.includes(req.path)) return next();
+
+    const roles = ADMIN_PAGES.includes(req.path) ? ['admin'] : [];
+    requirePage(...roles)(req, res, next);
+});
+
+app.use(express.static('public'));
 
 // Configure multer for file uploads
 const upload = multer({ dest: 'uploads/' });
 
-// Customer name mappings configuration
-const customerNameMappings = {
-    'ANTENNE - DIRECT UK': 'Antenne Online UK',
-    'ANTENNE DIRECT': 'Antenne Online',
-    'GARDNERS THE BOOK WHOLESALER': 'Gardners',
-    'ANTENNE BOOKS - DIRECT': 'Antenne Direct',
-    'KOENIG BOOKS LTD': 'Koenig Books',
-    'ANTENNE - EXPORT': 'Antenne Export',
-    'FISHPOND WORLD LTD': 'Fishpond',
-    'NEWS AND COFFEE LTD': 'News and Coffee',
-    'BOOKS ETC. LTD (INTERNET SITE)': 'Books Etc Online',
-    'WHITE CUBE LIMITED': 'White Cube',
-    'ISSUES MAGAZINE SHOP': 'Issues Shop',
-    'ATHENAEUM BOEKHANDEL BV': 'Athenaeum',
-    'UNITOM UNIVERSAL TOMORROW LTD': 'Unitom',
-    'THE AFFAIRS CIRCULATION LTD': 'The Affairs',
-    'PBSHOP.CO.UK LIMITED': 'PB Shop',
-    'COEN SLIGTING BOOKIMPORT BV': 'Coen Sligting'
+// Mapping rule types: exact names (matched after normalisation), normalised
+// prefixes, and case-insensitive regular expressions
+const MAPPING_MATCH_TYPES = ['exact', 'prefix', 'regex'];
+
+// Company suffixes ignored when comparing customer names
+const COMPANY_SUFFIXES = ['LTD', 'LIMITED', 'BV', 'PLC', 'LLC', 'INC', 'GMBH', 'SARL', 'SRL'];
+
+// In-memory copy of the customer_mappings table, used by applyMapping()
+let customerNameMappings = {
+    exact: new Map(),
+    normalized: new Map(),
+    prefix: [],
+    regex: []
 };
 
-// Initialize Booksonix table - UPDATED TO USE SKU INSTEAD OF ISBN
-async function initBooksonixTable() {
-    try {
-        // First, check if the table exists and what columns it has
-        const tableCheck = await pool.query(`
-            SELECT column_name, data_type, is_nullable, column_default
-            FROM information_schema.columns
-            WHERE table_name = 'booksonix_records'
-            ORDER BY ordinal_position;
-        `);
-        
-        if (tableCheck.rows.length === 0) {
-            // Table doesn't exist, create it with SKU-based structure
-            console.log('Creating new Booksonix table with SKU-based structure...');
-            await pool.query(`
+// =============================================
+// SCHEMA MIGRATIONS
+// =============================================
+
+// Numbered schema changes, applied in order and recorded in
+// schema_migrations with a checksum of their code. Each runs in its own
+// transaction under an advisory lock, so two instances starting together
+// don't race. Never edit a migration once it has been applied anywhere: add
+// a new one instead. An edited migration fails the checksum check and stops
+// further migrations until it is restored.
+//
+// Migrations hold plain DDL and SQL only, so their checksum covers
+// everything they do. Filling new columns from existing rows with the
+// application's own helpers is left to `node server.js backfill`; the
+// migrations adding columns it fills are marked backfilled.
+// adoptedBy names the table (and column) that shows a database created
+// before migrations existed already has the change; see adoptLegacySchema().
+//
+// Run with: node server.js migrate [status | up [version] | down [steps]]
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'base_schema',
+        adoptedBy: ['records'],
+        up: async (db) => {
+            await db.query(`
+                CREATE TABLE records (
+                    id SERIAL PRIMARY KEY,
+                    order_date DATE,
+                    customer_name VARCHAR(500),
+                    title VARCHAR(500),
+                    book_ean VARCHAR(50),
+                    quantity INTEGER DEFAULT 0,
+                    total DECIMAL(10,2) DEFAULT 0,
+                    country VARCHAR(100) DEFAULT 'Unknown',
+                    city VARCHAR(100) DEFAULT 'Unknown',
+                    order_reference VARCHAR(200),
+                    line_identifier VARCHAR(200),
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(order_reference, line_identifier)
+                )
+            `);
+            await db.query(`
+                CREATE TABLE upload_log (
+                    id SERIAL PRIMARY KEY,
+                    filename VARCHAR(500),
+                    records_count INTEGER DEFAULT 0,
+                    upload_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await db.query(`
+                CREATE TABLE customer_exclusions (
+                    id SERIAL PRIMARY KEY,
+                    customer_name VARCHAR(500) UNIQUE,
+                    excluded BOOLEAN DEFAULT true,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await db.query(`
+                CREATE TABLE users (
+                    id SERIAL PRIMARY KEY,
+                    username VARCHAR(100) UNIQUE NOT NULL,
+                    email VARCHAR(255) UNIQUE NOT NULL,
+                    password VARCHAR(255) NOT NULL,
+                    role VARCHAR(50) DEFAULT 'editor',
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    last_login TIMESTAMP
+                )
+            `);
+            // Booksonix products are keyed by SKU
+            await db.query(`
                 CREATE TABLE booksonix_records (
                     id SERIAL PRIMARY KEY,
                     sku VARCHAR(100) UNIQUE NOT NULL,
@@ -86,200 +164,807 @@ async function initBooksonixTable() {
                     last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
                 )
             `);
-            
-            // Create indexes
-            await pool.query(`CREATE INDEX IF NOT EXISTS idx_booksonix_sku ON booksonix_records(sku)`);
-            await pool.query(`CREATE INDEX IF NOT EXISTS idx_booksonix_isbn ON booksonix_records(isbn)`);
-            
-            console.log('Booksonix table created successfully with SKU-based structure');
-        } else {
-            // Table exists, check if it needs migration from ISBN to SKU
-            const hasSkuColumn = tableCheck.rows.some(row => row.column_name === 'sku');
-            const isbnColumn = tableCheck.rows.find(row => row.column_name === 'isbn');
-            
-            if (!hasSkuColumn) {
-                console.log('Migrating Booksonix table from ISBN-based to SKU-based structure...');
-                
-                // Add SKU column
-                await pool.query(`ALTER TABLE booksonix_records ADD COLUMN IF NOT EXISTS sku VARCHAR(100)`);
-                
-                // Check if there's existing data
-                const countResult = await pool.query(`SELECT COUNT(*) as count FROM booksonix_records`);
-                const hasData = parseInt(countResult.rows[0].count) > 0;
-                
-                if (hasData) {
-                    // If there's existing data, copy ISBN to SKU for migration
-                    console.log('Migrating existing records: copying ISBN to SKU...');
-                    await pool.query(`UPDATE booksonix_records SET sku = isbn WHERE sku IS NULL AND isbn IS NOT NULL`);
-                    
-                    // For any remaining null SKUs, generate a temporary SKU
-                    await pool.query(`
-                        UPDATE booksonix_records 
-                        SET sku = 'TEMP_' || id::text 
-                        WHERE sku IS NULL
-                    `);
-                }
-                
-                // Drop the old ISBN unique constraint if it exists
-                try {
-                    await pool.query(`ALTER TABLE booksonix_records DROP CONSTRAINT IF EXISTS booksonix_records_isbn_key`);
-                } catch (e) {
-                    console.log('No ISBN constraint to drop');
-                }
-                
-                // Make ISBN nullable if it wasn't already
-                if (isbnColumn && isbnColumn.is_nullable === 'NO') {
-                    await pool.query(`ALTER TABLE booksonix_records ALTER COLUMN isbn DROP NOT NULL`);
-                }
-                
-                // Add unique constraint to SKU
-                try {
-                    await pool.query(`ALTER TABLE booksonix_records ADD CONSTRAINT booksonix_records_sku_key UNIQUE (sku)`);
-                } catch (e) {
-                    console.log('SKU unique constraint may already exist');
-                }
-                
-                // Make SKU NOT NULL
-                await pool.query(`ALTER TABLE booksonix_records ALTER COLUMN sku SET NOT NULL`);
-                
-                console.log('Migration complete: Booksonix table now uses SKU as primary identifier');
-            } else {
-                console.log('Booksonix table already has SKU column, checking constraints...');
-                
-                // Ensure SKU has proper constraints
-                try {
-                    // Check if SKU is NOT NULL
-                    const skuColumn = tableCheck.rows.find(row => row.column_name === 'sku');
-                    if (skuColumn && skuColumn.is_nullable === 'YES') {
-                        // First fill any NULL values
-                        await pool.query(`
-                            UPDATE booksonix_records 
-                            SET sku = COALESCE(isbn, 'TEMP_' || id::text) 
-                            WHERE sku IS NULL
-                        `);
-                        await pool.query(`ALTER TABLE booksonix_records ALTER COLUMN sku SET NOT NULL`);
-                    }
-                    
-                    // Ensure unique constraint exists
-                    await pool.query(`ALTER TABLE booksonix_records ADD CONSTRAINT booksonix_records_sku_key UNIQUE (sku)`);
-                } catch (e) {
-                    // Constraint likely already exists
-                }
-                
-                // Ensure ISBN is nullable
-                if (isbnColumn && isbnColumn.is_nullable === 'NO') {
-                    await pool.query(`ALTER TABLE booksonix_records ALTER COLUMN isbn DROP NOT NULL`);
-                }
-            }
-            
-            // Create indexes if they don't exist
-            await pool.query(`CREATE INDEX IF NOT EXISTS idx_booksonix_sku ON booksonix_records(sku)`);
-            await pool.query(`CREATE INDEX IF NOT EXISTS idx_booksonix_isbn ON booksonix_records(isbn)`);
+            await db.query(`CREATE INDEX idx_records_customer ON records(customer_name)`);
+            await db.query(`CREATE INDEX idx_records_order_ref ON records(order_reference)`);
+            await db.query(`CREATE INDEX idx_records_date ON records(order_date)`);
+            await db.query(`CREATE INDEX idx_customer_exclusions ON customer_exclusions(customer_name)`);
+            await db.query(`CREATE INDEX idx_booksonix_sku ON booksonix_records(sku)`);
+            await db.query(`CREATE INDEX idx_booksonix_isbn ON booksonix_records(isbn)`);
+        },
+        down: async (db) => {
+            await db.query(`DROP TABLE booksonix_records, users, customer_exclusions, upload_log, records`);
         }
-        
-        // Verify final structure
-        const finalCheck = await pool.query(`
-            SELECT COUNT(*) as total FROM booksonix_records
-        `);
-        
-        console.log(`Booksonix table ready with ${finalCheck.rows[0].total} existing records`);
-        
-    } catch (err) {
-        console.error('Error initializing Booksonix table:', err);
-        console.error('Error details:', err.message);
-        
-        // If there's a critical error, try to at least ensure the table exists
-        try {
-            await pool.query(`
-                CREATE TABLE IF NOT EXISTS booksonix_records (
+    },
+    {
+        version: 2,
+        name: 'user_sessions',
+        adoptedBy: ['user_sessions'],
+        // Server-side sessions; only a hash of the session token is stored
+        up: async (db) => {
+            await db.query(`
+                CREATE TABLE user_sessions (
+                    id SERIAL PRIMARY KEY,
+                    token_hash VARCHAR(64) UNIQUE NOT NULL,
+                    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    expires_at TIMESTAMP NOT NULL
+                )
+            `);
+        },
+        down: async (db) => {
+            await db.query(`DROP TABLE user_sessions`);
+        }
+    },
+    {
+        version: 3,
+        name: 'customer_mappings',
+        adoptedBy: ['customer_mappings'],
+        // Customer name mappings, seeded with the ones the import used to hard-code
+        up: async (db) => {
+            await db.query(`
+                CREATE TABLE customer_mappings (
+                    id SERIAL PRIMARY KEY,
+                    original_name VARCHAR(500) UNIQUE NOT NULL,
+                    display_name VARCHAR(500) NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await db.query(`
+                INSERT INTO customer_mappings (original_name, display_name) VALUES
+                    ('ANTENNE - DIRECT UK', 'Antenne Online UK'),
+                    ('ANTENNE DIRECT', 'Antenne Online'),
+                    ('GARDNERS THE BOOK WHOLESALER', 'Gardners'),
+                    ('ANTENNE BOOKS - DIRECT', 'Antenne Direct'),
+                    ('KOENIG BOOKS LTD', 'Koenig Books'),
+                    ('ANTENNE - EXPORT', 'Antenne Export'),
+                    ('FISHPOND WORLD LTD', 'Fishpond'),
+                    ('NEWS AND COFFEE LTD', 'News and Coffee'),
+                    ('BOOKS ETC. LTD (INTERNET SITE)', 'Books Etc Online'),
+                    ('WHITE CUBE LIMITED', 'White Cube'),
+                    ('ISSUES MAGAZINE SHOP', 'Issues Shop'),
+                    ('ATHENAEUM BOEKHANDEL BV', 'Athenaeum'),
+                    ('UNITOM UNIVERSAL TOMORROW LTD', 'Unitom'),
+                    ('THE AFFAIRS CIRCULATION LTD', 'The Affairs'),
+                    ('PBSHOP.CO.UK LIMITED', 'PB Shop'),
+                    ('COEN SLIGTING BOOKIMPORT BV', 'Coen Sligting')
+            `);
+        },
+        down: async (db) => {
+            await db.query(`DROP TABLE customer_mappings`);
+        }
+    },
+    {
+        version: 4,
+        name: 'mapping_match_types',
+        adoptedBy: ['customer_mappings', 'match_type'],
+        // Mappings match exact names, normalised prefixes or regular expressions
+        up: async (db) => {
+            await db.query(`ALTER TABLE customer_mappings ADD COLUMN match_type VARCHAR(20) DEFAULT 'exact'`);
+        },
+        down: async (db) => {
+            await db.query(`ALTER TABLE customer_mappings DROP COLUMN match_type`);
+        }
+    },
+    {
+        version: 5,
+        name: 'import_previews',
+        adoptedBy: ['import_previews'],
+        // Parsed dry-run batches awaiting confirmation
+        up: async (db) => {
+            await db.query(`
+                CREATE TABLE import_previews (
+                    id VARCHAR(64) PRIMARY KEY,
+                    import_type VARCHAR(20) NOT NULL,
+                    filename VARCHAR(500),
+                    rows JSONB NOT NULL,
+                    created_by INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        },
+        down: async (db) => {
+            await db.query(`DROP TABLE import_previews`);
+        }
+    },
+    {
+        version: 6,
+        name: 'upload_tracking',
+        adoptedBy: ['records', 'upload_id'],
+        // Track which upload introduced each row so a sales upload can be undone
+        up: async (db) => {
+            await db.query(`
+                ALTER TABLE upload_log
+                    ADD COLUMN import_type VARCHAR(20) DEFAULT 'sales',
+                    ADD COLUMN uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                    ADD COLUMN status VARCHAR(20) DEFAULT 'completed',
+                    ADD COLUMN undone_at TIMESTAMP
+            `);
+            await db.query(`ALTER TABLE records ADD COLUMN upload_id INTEGER REFERENCES upload_log(id) ON DELETE SET NULL`);
+            await db.query(`ALTER TABLE booksonix_records ADD COLUMN upload_id INTEGER REFERENCES upload_log(id) ON DELETE SET NULL`);
+            await db.query(`CREATE INDEX idx_records_upload ON records(upload_id)`);
+            await db.query(`CREATE INDEX idx_booksonix_upload ON booksonix_records(upload_id)`);
+        },
+        down: async (db) => {
+            await db.query(`ALTER TABLE booksonix_records DROP COLUMN upload_id`);
+            await db.query(`ALTER TABLE records DROP COLUMN upload_id`);
+            await db.query(`
+                ALTER TABLE upload_log
+                    DROP COLUMN import_type, DROP COLUMN uploaded_by, DROP COLUMN status, DROP COLUMN undone_at
+            `);
+        }
+    },
+    {
+        version: 7,
+        name: 'import_profiles',
+        adoptedBy: ['import_profiles'],
+        // Saved column mappings for import formats
+        up: async (db) => {
+            await db.query(`
+                CREATE TABLE import_profiles (
+                    id SERIAL PRIMARY KEY,
+                    name VARCHAR(200) UNIQUE NOT NULL,
+                    target VARCHAR(20) NOT NULL,
+                    column_map JSONB NOT NULL,
+                    date_format VARCHAR(20) DEFAULT 'auto',
+                    decimal_comma BOOLEAN DEFAULT false,
+                    header_signature TEXT[],
+                    builtin_key VARCHAR(50) UNIQUE,
+                    is_builtin BOOLEAN DEFAULT false,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        },
+        down: async (db) => {
+            await db.query(`DROP TABLE import_profiles`);
+        }
+    },
+    {
+        version: 8,
+        name: 'import_rejects',
+        adoptedBy: ['import_rejects'],
+        // Keep the rows each upload rejected so they can be fixed and re-uploaded.
+        // raw_values is JSON rather than JSONB to preserve the file's column order.
+        up: async (db) => {
+            await db.query(`ALTER TABLE import_previews ADD COLUMN headers JSONB`);
+            await db.query(`ALTER TABLE upload_log ADD COLUMN rejected_count INTEGER DEFAULT 0, ADD COLUMN source_headers JSONB`);
+            await db.query(`
+                CREATE TABLE import_rejects (
+                    id SERIAL PRIMARY KEY,
+                    upload_id INTEGER NOT NULL REFERENCES upload_log(id) ON DELETE CASCADE,
+                    row_number INTEGER NOT NULL,
+                    raw_values JSON NOT NULL,
+                    reason TEXT NOT NULL
+                )
+            `);
+            await db.query(`CREATE INDEX idx_import_rejects_upload ON import_rejects(upload_id, row_number)`);
+        },
+        down: async (db) => {
+            await db.query(`DROP TABLE import_rejects`);
+            await db.query(`ALTER TABLE upload_log DROP COLUMN rejected_count, DROP COLUMN source_headers`);
+            await db.query(`ALTER TABLE import_previews DROP COLUMN headers`);
+        }
+    },
+    {
+        version: 9,
+        name: 'catalogue_links',
+        backfilled: true,
+        adoptedBy: ['catalogue_links'],
+        // Link sales records to Booksonix products. Both sides carry an isbn13
+        // column holding the normalised EAN/ISBN, and records.booksonix_id
+        // points at the matched product. catalogue_links holds the matches
+        // staff made by hand for sales lines whose EAN or title doesn't
+        // resolve on its own.
+        up: async (db) => {
+            await db.query(`ALTER TABLE booksonix_records ADD COLUMN isbn13 VARCHAR(13)`);
+            await db.query(`
+                ALTER TABLE records
+                    ADD COLUMN isbn13 VARCHAR(13),
+                    ADD COLUMN booksonix_id INTEGER REFERENCES booksonix_records(id) ON DELETE SET NULL
+            `);
+            await db.query(`CREATE INDEX idx_booksonix_isbn13 ON booksonix_records(isbn13)`);
+            await db.query(`CREATE INDEX idx_records_isbn13 ON records(isbn13)`);
+            await db.query(`CREATE INDEX idx_records_booksonix ON records(booksonix_id)`);
+            await db.query(`
+                CREATE TABLE catalogue_links (
+                    id SERIAL PRIMARY KEY,
+                    book_ean VARCHAR(100) NOT NULL DEFAULT '',
+                    title VARCHAR(500) NOT NULL DEFAULT '',
+                    booksonix_id INTEGER NOT NULL REFERENCES booksonix_records(id) ON DELETE CASCADE,
+                    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(book_ean, title)
+                )
+            `);
+        },
+        down: async (db) => {
+            await db.query(`DROP TABLE catalogue_links`);
+            await db.query(`ALTER TABLE records DROP COLUMN booksonix_id, DROP COLUMN isbn13`);
+            await db.query(`ALTER TABLE booksonix_records DROP COLUMN isbn13`);
+        }
+    },
+    {
+        version: 10,
+        name: 'report_definitions',
+        adoptedBy: ['report_runs'],
+        // Saved report definitions, and the export files rendered from them
+        up: async (db) => {
+            await db.query(`
+                CREATE TABLE report_definitions (
+                    id SERIAL PRIMARY KEY,
+                    name VARCHAR(200) NOT NULL,
+                    owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                    publisher VARCHAR(500) NOT NULL,
+                    all_titles BOOLEAN DEFAULT false,
+                    titles JSONB DEFAULT '[]',
+                    products JSONB DEFAULT '[]',
+                    date_range VARCHAR(30) NOT NULL DEFAULT 'custom',
+                    start_date DATE,
+                    end_date DATE,
+                    exclusions JSONB DEFAULT '{}',
+                    export_format VARCHAR(10) DEFAULT 'xlsx',
+                    schedule VARCHAR(100),
+                    schedule_enabled BOOLEAN DEFAULT false,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(owner_id, name)
+                )
+            `);
+            await db.query(`
+                CREATE TABLE report_runs (
+                    id SERIAL PRIMARY KEY,
+                    definition_id INTEGER NOT NULL REFERENCES report_definitions(id) ON DELETE CASCADE,
+                    trigger VARCHAR(20) NOT NULL,
+                    status VARCHAR(20) NOT NULL,
+                    export_format VARCHAR(10),
+                    start_date VARCHAR(10),
+                    end_date VARCHAR(10),
+                    customer_count INTEGER,
+                    file_name VARCHAR(300),
+                    file_path VARCHAR(500),
+                    file_size INTEGER,
+                    error TEXT,
+                    run_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await db.query(`CREATE INDEX idx_report_runs_definition ON report_runs(definition_id, created_at)`);
+        },
+        down: async (db) => {
+            await db.query(`DROP TABLE report_runs, report_definitions`);
+        }
+    },
+    {
+        version: 11,
+        name: 'customers',
+        backfilled: true,
+        adoptedBy: ['records', 'customer_id'],
+        // Customers as their own entity; sales rows point at them. Country is
+        // an ISO 3166-1 alpha-2 code.
+        up: async (db) => {
+            await db.query(`
+                CREATE TABLE customers (
+                    id SERIAL PRIMARY KEY,
+                    name VARCHAR(500) UNIQUE NOT NULL,
+                    aliases TEXT[] DEFAULT '{}',
+                    address TEXT,
+                    postcode VARCHAR(30),
+                    city VARCHAR(200),
+                    country_code VARCHAR(2),
+                    customer_type VARCHAR(30),
+                    email VARCHAR(255),
+                    notes TEXT,
+                    active BOOLEAN DEFAULT true,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await db.query(`ALTER TABLE records ADD COLUMN customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL`);
+            await db.query(`CREATE INDEX idx_records_customer_id ON records(customer_id)`);
+        },
+        down: async (db) => {
+            await db.query(`ALTER TABLE records DROP COLUMN customer_id`);
+            await db.query(`DROP TABLE customers`);
+        }
+    },
+    {
+        version: 12,
+        name: 'customer_operations',
+        adoptedBy: ['customer_operations'],
+        // Customer merges and splits, with what they changed so they can be reverted
+        up: async (db) => {
+            await db.query(`
+                CREATE TABLE customer_operations (
+                    id SERIAL PRIMARY KEY,
+                    operation VARCHAR(10) NOT NULL,
+                    target_name VARCHAR(500) NOT NULL,
+                    source_names TEXT[] DEFAULT '{}',
+                    customer_ids INTEGER[] DEFAULT '{}',
+                    record_count INTEGER DEFAULT 0,
+                    snapshot JSONB NOT NULL,
+                    performed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                    performed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    reverted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                    reverted_at TIMESTAMP
+                )
+            `);
+        },
+        down: async (db) => {
+            await db.query(`DROP TABLE customer_operations`);
+        }
+    },
+    {
+        version: 13,
+        name: 'sale_addresses',
+        adoptedBy: ['records', 'address'],
+        // Shipping postcode and address of each sales line
+        up: async (db) => {
+            await db.query(`ALTER TABLE records ADD COLUMN postcode VARCHAR(30), ADD COLUMN address TEXT`);
+        },
+        down: async (db) => {
+            await db.query(`ALTER TABLE records DROP COLUMN postcode, DROP COLUMN address`);
+        }
+    },
+    {
+        version: 14,
+        name: 'currencies',
+        adoptedBy: ['report_definitions', 'currency'],
+        // Sales lines, catalogue prices and saved reports carry a currency;
+        // exchange rates by date convert between currencies for reporting
+        up: async (db) => {
+            await db.query(`ALTER TABLE records ADD COLUMN currency VARCHAR(3) DEFAULT 'GBP'`);
+            await db.query(`ALTER TABLE booksonix_records ADD COLUMN currency VARCHAR(3) DEFAULT 'GBP'`);
+            await db.query(`
+                CREATE TABLE exchange_rates (
+                    id SERIAL PRIMARY KEY,
+                    rate_date DATE NOT NULL,
+                    currency VARCHAR(3) NOT NULL,
+                    rate DECIMAL(18,8) NOT NULL CHECK (rate > 0),
+                    source VARCHAR(20) DEFAULT 'manual',
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (currency, rate_date)
+                )
+            `);
+            await db.query(`ALTER TABLE report_definitions ADD COLUMN currency VARCHAR(3) DEFAULT 'GBP'`);
+        },
+        down: async (db) => {
+            await db.query(`ALTER TABLE report_definitions DROP COLUMN currency`);
+            await db.query(`DROP TABLE exchange_rates`);
+            await db.query(`ALTER TABLE booksonix_records DROP COLUMN currency`);
+            await db.query(`ALTER TABLE records DROP COLUMN currency`);
+        }
+    },
+    {
+        version: 15,
+        name: 'line_amounts',
+        adoptedBy: ['records', 'tax'],
+        // Sales lines keep their unit price, discount and tax beside the net
+        // line total. Lines imported before this have no unit price.
+        up: async (db) => {
+            await db.query(`
+                ALTER TABLE records
+                    ADD COLUMN unit_price DECIMAL(12,4),
+                    ADD COLUMN discount DECIMAL(10,2) DEFAULT 0,
+                    ADD COLUMN tax DECIMAL(10,2) DEFAULT 0
+            `);
+            // The built-in Shopify profile used to read "Lineitem price" as the line total
+            await db.query(
+                `UPDATE import_profiles SET column_map = jsonb_set(column_map, '{total}', '[]')
+                 WHERE builtin_key = 'shopify' AND column_map->'total' = '["Lineitem price"]'::jsonb`
+            );
+        },
+        down: async (db) => {
+            await db.query(`ALTER TABLE records DROP COLUMN unit_price, DROP COLUMN discount, DROP COLUMN tax`);
+        }
+    },
+    {
+        version: 16,
+        name: 'returns',
+        backfilled: true,
+        adoptedBy: ['records', 'original_record_id'],
+        // Returns and credit notes are stored as negative lines, linked to the
+        // sale they reverse where it can be found
+        up: async (db) => {
+            await db.query(`
+                ALTER TABLE records
+                    ADD COLUMN transaction_type VARCHAR(10) DEFAULT 'sale',
+                    ADD COLUMN original_reference VARCHAR(200),
+                    ADD COLUMN original_record_id INTEGER REFERENCES records(id) ON DELETE SET NULL
+            `);
+            await db.query(`UPDATE records SET transaction_type = 'return' WHERE quantity < 0 OR total < 0`);
+        },
+        down: async (db) => {
+            await db.query(`
+                ALTER TABLE records
+                    DROP COLUMN original_record_id, DROP COLUMN original_reference, DROP COLUMN transaction_type
+            `);
+        }
+    },
+    {
+        version: 17,
+        name: 'audit_log',
+        adoptedBy: ['audit_log'],
+        // Who changed what: one row per data-changing action, with the values
+        // before and after. The username is kept so entries outlive the user.
+        up: async (db) => {
+            await db.query(`
+                CREATE TABLE audit_log (
+                    id SERIAL PRIMARY KEY,
+                    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                    username VARCHAR(100),
+                    action VARCHAR(50) NOT NULL,
+                    entity_type VARCHAR(50) NOT NULL,
+                    entity_id VARCHAR(200),
+                    before_values JSONB,
+                    after_values JSONB,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await db.query(`CREATE INDEX idx_audit_log_entity ON audit_log(entity_type, entity_id)`);
+            await db.query(`CREATE INDEX idx_audit_log_created ON audit_log(created_at)`);
+        },
+        down: async (db) => {
+            await db.query(`DROP TABLE audit_log`);
+        }
+    },
+    {
+        version: 18,
+        name: 'settings',
+        adoptedBy: ['settings'],
+        // General settings, one row per key; keys without a row use their default
+        up: async (db) => {
+            await db.query(`
+                CREATE TABLE settings (
+                    id SERIAL PRIMARY KEY,
+                    key VARCHAR(100) UNIQUE NOT NULL,
+                    value JSONB NOT NULL,
+                    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        },
+        down: async (db) => {
+            await db.query(`DROP TABLE settings`);
+        }
+    },
+    {
+        version: 19,
+        name: 'booksonix_versions',
+        // Version history of Booksonix products: one row per SKU an upload
+        // added or changed, holding the values after the upload and the old
+        // and new value of each changed field. Uploads also record the
+        // catalogue SKUs their feed left out.
+        up: async (db) => {
+            await db.query(`
+                CREATE TABLE booksonix_versions (
                     id SERIAL PRIMARY KEY,
-                    sku VARCHAR(100),
+                    sku VARCHAR(100) NOT NULL,
+                    booksonix_id INTEGER REFERENCES booksonix_records(id) ON DELETE SET NULL,
+                    upload_id INTEGER REFERENCES upload_log(id) ON DELETE SET NULL,
+                    change_type VARCHAR(10) NOT NULL,
                     isbn VARCHAR(50),
                     title VARCHAR(500),
-                    author VARCHAR(500),
                     publisher VARCHAR(500),
                     price DECIMAL(10,2),
-                    quantity INTEGER DEFAULT 0,
-                    format VARCHAR(100),
-                    publication_date DATE,
-                    description TEXT,
-                    category VARCHAR(200),
-                    upload_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                    currency VARCHAR(3),
+                    changes JSONB DEFAULT '{}',
+                    recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await db.query(`CREATE INDEX idx_booksonix_versions_sku ON booksonix_versions(sku, recorded_at)`);
+            await db.query(`CREATE INDEX idx_booksonix_versions_upload ON booksonix_versions(upload_id)`);
+            await db.query(`ALTER TABLE upload_log ADD COLUMN missing_skus TEXT[]`);
+
+            // Products already in the catalogue start from their current values
+            await db.query(`
+                INSERT INTO booksonix_versions (sku, booksonix_id, change_type, isbn, title, publisher, price, currency, recorded_at)
+                SELECT sku, id, 'baseline', isbn, title, publisher, price, currency, COALESCE(last_updated, upload_date)
+                FROM booksonix_records
+            `);
+        },
+        down: async (db) => {
+            await db.query(`ALTER TABLE upload_log DROP COLUMN missing_skus`);
+            await db.query(`DROP TABLE booksonix_versions`);
+        }
+    }
+];
+
+// Session-level advisory lock held while migrating
+const MIGRATION_LOCK_ID = 72310401;
+
+// Checksum of a migration's code, stored when it is applied
+function migrationChecksum(migration) {
+    return crypto.createHash('sha256').update(`${migration.up}\n${migration.down}`).digest('hex');
+}
+
+// Run a callback on a dedicated client holding the migration lock
+async function withMigrationLock(callback) {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+        try {
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS schema_migrations (
+                    version INTEGER PRIMARY KEY,
+                    name VARCHAR(200) NOT NULL,
+                    checksum VARCHAR(64) NOT NULL,
+                    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    duration_ms INTEGER
                 )
             `);
-            console.log('Created basic Booksonix table structure');
-        } catch (fallbackErr) {
-            console.error('Failed to create fallback table:', fallbackErr);
+            return await callback(client);
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
         }
+    } finally {
+        client.release();
     }
 }
 
-// Initialize database tables
-async function initDatabase() {
+// Whether a table, or a column of it, exists in the current schema
+async function schemaHas(db, table, column = null) {
+    const result = await db.query(
+        `SELECT 1 FROM information_schema.columns
+         WHERE table_schema = current_schema() AND table_name = $1 AND ($2::text IS NULL OR column_name = $2)
+         LIMIT 1`,
+        [table, column]
+    );
+    return result.rows.length > 0;
+}
+
+// Databases created before migrations existed have no schema_migrations
+// rows but already have some of the schema. Each migration in turn is
+// recorded as applied while its adoptedBy table or column exists; the rest
+// then run as usual. Booksonix tables from before products were keyed by
+// SKU are converted first: their ISBN becomes the SKU.
+async function adoptLegacySchema(client) {
+    const recorded = await client.query('SELECT 1 FROM schema_migrations LIMIT 1');
+    if (recorded.rows.length > 0 || !(await schemaHas(client, 'records'))) return [];
+
+    await client.query('BEGIN');
     try {
-        console.log('Starting database initialization...');
-        
-        // Create records table
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS records (
-                id SERIAL PRIMARY KEY,
-                order_date DATE,
-                customer_name VARCHAR(500),
-                title VARCHAR(500),
-                book_ean VARCHAR(50),
-                quantity INTEGER DEFAULT 0,
-                total DECIMAL(10,2) DEFAULT 0,
-                country VARCHAR(100) DEFAULT 'Unknown',
-                city VARCHAR(100) DEFAULT 'Unknown',
-                order_reference VARCHAR(200),
-                line_identifier VARCHAR(200),
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                UNIQUE(order_reference, line_identifier)
-            )
-        `);
+        if (await schemaHas(client, 'booksonix_records') && !(await schemaHas(client, 'booksonix_records', 'sku'))) {
+            await client.query(`ALTER TABLE booksonix_records ADD COLUMN sku VARCHAR(100)`);
+            await client.query(`UPDATE booksonix_records SET sku = COALESCE(isbn, 'TEMP_' || id::text)`);
+            await client.query(`ALTER TABLE booksonix_records DROP CONSTRAINT IF EXISTS booksonix_records_isbn_key`);
+            await client.query(`ALTER TABLE booksonix_records ALTER COLUMN isbn DROP NOT NULL`);
+            await client.query(`ALTER TABLE booksonix_records ALTER COLUMN sku SET NOT NULL`);
+            await client.query(`ALTER TABLE booksonix_records ADD CONSTRAINT booksonix_records_sku_key UNIQUE (sku)`);
+            await client.query(`CREATE INDEX idx_booksonix_sku ON booksonix_records(sku)`);
+        }
 
-        // Create upload_log table
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS upload_log (
-                id SERIAL PRIMARY KEY,
-                filename VARCHAR(500),
-                records_count INTEGER DEFAULT 0,
-                upload_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
+        const adopted = [];
+        for (const migration of MIGRATIONS) {
+            if (!migration.adoptedBy || !(await schemaHas(client, ...migration.adoptedBy))) break;
+            await client.query(
+                'INSERT INTO schema_migrations (version, name, checksum, duration_ms) VALUES ($1, $2, $3, 0)',
+                [migration.version, migration.name, migrationChecksum(migration)]
+            );
+            adopted.push(migration.version);
+        }
+        await client.query('COMMIT');
+        console.log(`Adopted existing schema as migrations ${adopted[0]} to ${adopted[adopted.length - 1]}`);
+        return adopted;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        err.message = `Adopting the existing schema failed: ${err.message}`;
+        throw err;
+    }
+}
 
-        // Create customer_exclusions table
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS customer_exclusions (
-                id SERIAL PRIMARY KEY,
-                customer_name VARCHAR(500) UNIQUE,
-                excluded BOOLEAN DEFAULT true,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
+// Every known migration with whether and when it was applied, plus applied
+// versions this code doesn't know (from a newer release). changed marks an
+// applied migration whose code no longer matches its checksum.
+async function loadMigrationStatus(client) {
+    const result = await client.query('SELECT * FROM schema_migrations ORDER BY version');
+    const applied = new Map(result.rows.map(row => [row.version, row]));
 
-        // Create users table with correct structure
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS users (
-                id SERIAL PRIMARY KEY,
-                username VARCHAR(100) UNIQUE NOT NULL,
-                email VARCHAR(255) UNIQUE NOT NULL,
-                password VARCHAR(255) NOT NULL,
-                role VARCHAR(50) DEFAULT 'editor',
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                last_login TIMESTAMP
-            )
-        `);
+    const migrations = MIGRATIONS.map(migration => {
+        const row = applied.get(migration.version);
+        const checksum = migrationChecksum(migration);
+        return {
+            version: migration.version,
+            name: migration.name,
+            checksum,
+            applied: !!row,
+            appliedAt: row ? row.applied_at : null,
+            durationMs: row ? row.duration_ms : null,
+            changed: !!row && row.checksum !== checksum
+        };
+    });
+    const unknown = result.rows
+        .filter(row => !MIGRATIONS.some(migration => migration.version === row.version))
+        .map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at }));
+
+    return {
+        current: result.rows.length > 0 ? result.rows[result.rows.length - 1].version : 0,
+        latest: MIGRATIONS[MIGRATIONS.length - 1].version,
+        migrations,
+        unknown
+    };
+}
+
+// Apply pending migrations up to a version (default all). Refuses to run
+// while an applied migration has been edited. Returns the versions applied.
+async function migrateUp(targetVersion = Infinity) {
+    return withMigrationLock(async (client) => {
+        await adoptLegacySchema(client);
+        const status = await loadMigrationStatus(client);
+        const changed = status.migrations.filter(migration => migration.changed);
+        if (changed.length > 0) {
+            throw new Error('Applied migrations have been edited: ' +
+                changed.map(migration => `${migration.version} ${migration.name}`).join(', '));
+        }
+        if (status.unknown.length > 0) {
+            console.warn('Database has migrations this version does not know:',
+                status.unknown.map(migration => migration.version).join(', '));
+        }
+
+        const applied = [];
+        for (const migration of MIGRATIONS) {
+            const state = status.migrations.find(entry => entry.version === migration.version);
+            if (state.applied || migration.version > targetVersion) continue;
+
+            const started = Date.now();
+            await client.query('BEGIN');
+            try {
+                await migration.up(client);
+                await client.query(
+                    'INSERT INTO schema_migrations (version, name, checksum, duration_ms) VALUES ($1, $2, $3, $4)',
+                    [migration.version, migration.name, state.checksum, Date.now() - started]
+                );
+                await client.query('COMMIT');
+            } catch (err) {
+                await client.query('ROLLBACK');
+                err.message = `Migration ${migration.version} ${migration.name} failed: ${err.message}`;
+                throw err;
+            }
+            console.log(`Applied migration ${migration.version} ${migration.name} (${Date.now() - started} ms)`);
+            applied.push(migration.version);
+        }
+        return applied;
+    });
+}
+
+// Roll back the latest applied migrations, newest first. Returns the
+// versions rolled back.
+async function migrateDown(steps = 1) {
+    return withMigrationLock(async (client) => {
+        const result = await client.query('SELECT version FROM schema_migrations ORDER BY version DESC LIMIT $1', [steps]);
+        const rolledBack = [];
+
+        for (const { version } of result.rows) {
+            const migration = MIGRATIONS.find(entry => entry.version === version);
+            if (!migration) {
+                throw new Error(`Migration ${version} is not known to this version and cannot be rolled back`);
+            }
+
+            await client.query('BEGIN');
+            try {
+                await migration.down(client);
+                await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+                await client.query('COMMIT');
+            } catch (err) {
+                await client.query('ROLLBACK');
+                err.message = `Rolling back migration ${version} ${migration.name} failed: ${err.message}`;
+                throw err;
+            }
+            console.log(`Rolled back migration ${version} ${migration.name}`);
+            rolledBack.push(version);
+        }
+        return rolledBack;
+    });
+}
+
+// Command line entry point: node server.js migrate [status | up [version] | down [steps]]
+async function runMigrationCommand([command = 'up', value]) {
+    try {
+        if (command === 'status') {
+            const status = await withMigrationLock(loadMigrationStatus);
+            console.log(`Schema version ${status.current} of ${status.latest}`);
+            status.migrations.forEach(migration => {
+                const state = migration.changed ? 'CHANGED' : (migration.applied ? 'applied' : 'pending');
+                const when = migration.appliedAt ? ` ${new Date(migration.appliedAt).toISOString()}` : '';
+                console.log(`  ${String(migration.version).padStart(3)} ${migration.name.padEnd(24)} ${state}${when}`);
+            });
+            status.unknown.forEach(migration => {
+                console.log(`  ${String(migration.version).padStart(3)} ${migration.name.padEnd(24)} unknown to this version`);
+            });
+        } else if (command === 'up') {
+            const applied = await migrateUp(value ? parseInt(value, 10) : Infinity);
+            console.log(applied.length > 0 ? `Applied ${applied.length} migrations` : 'Schema is up to date');
+        } else if (command === 'down') {
+            const steps = value ? parseInt(value, 10) : 1;
+            if (!(steps > 0)) throw new Error('Steps must be a positive number');
+            const rolledBack = await migrateDown(steps);
+            console.log(`Rolled back ${rolledBack.length} migrations`);
+        } else {
+            throw new Error('Usage: node server.js migrate [status | up [version] | down [steps]]');
+        }
+    } catch (err) {
+        console.error(err.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+// Command line entry point: node server.js backfill
+// Fills columns added by migrations for rows stored before them: normalised
+// ISBNs, links to the catalogue and to customers, and links from returns to
+// their sales. Only unset values are filled, so it is safe to run again.
+async function runBackfillCommand() {
+    try {
+        const status = await withMigrationLock(loadMigrationStatus);
+        if (status.migrations.some(migration => !migration.applied)) {
+            throw new Error('Apply pending migrations first: node server.js migrate up');
+        }
+
+        await withTransaction(async (client) => {
+            await backfillIsbn13(client, 'booksonix_records', row => normalizeIsbn(row.isbn) || normalizeIsbn(row.sku), 'isbn, sku');
+            await backfillIsbn13(client, 'records', row => normalizeIsbn(row.book_ean), 'book_ean');
+            console.log(`Linked ${await linkSalesToCatalogue(client)} sales records to the catalogue`);
+            console.log(`Linked ${await linkRecordsToCustomers(client)} sales records to customers`);
+            console.log(`Linked ${await linkReturnsToSales(client)} returns to their sales`);
+        });
+    } catch (err) {
+        console.error(err.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+// Fill isbn13 for existing rows of a table from its source columns
+async function backfillIsbn13(db, table, normalize, sourceColumns) {
+    const result = await db.query(`SELECT id, ${sourceColumns} FROM ${table} WHERE isbn13 IS NULL`);
+    const updates = result.rows
+        .map(row => ({ id: row.id, isbn13: normalize(row) }))
+        .filter(row => row.isbn13);
+
+    for (const batch of chunk(updates, IMPORT_BATCH_SIZE)) {
+        const params = [];
+        batch.forEach(row => params.push(row.id, row.isbn13));
+        await db.query(
+            `UPDATE ${table} t SET isbn13 = v.isbn13
+             FROM (VALUES ${valuesPlaceholders(batch.length, 2)}) AS v(id, isbn13)
+             WHERE t.id = v.id::integer`,
+            params
+        );
+    }
+    console.log(`Normalised ISBNs for ${updates.length} of ${result.rows.length} rows in ${table}`);
+}
 
-        // Create indexes for better performance
-        await pool.query(`CREATE INDEX IF NOT EXISTS idx_records_customer ON records(customer_name)`);
-        await pool.query(`CREATE INDEX IF NOT EXISTS idx_records_order_ref ON records(order_reference)`);
-        await pool.query(`CREATE INDEX IF NOT EXISTS idx_records_date ON records(order_date)`);
-        await pool.query(`CREATE INDEX IF NOT EXISTS idx_customer_exclusions ON customer_exclusions(customer_name)`);
+// Bring the schema up to date, then seed what the code defines: the
+// built-in import profiles and the first admin user
+async function initDatabase() {
+    try {
+        console.log('Starting database initialization...');
+        const applied = await migrateUp();
+        if (MIGRATIONS.some(migration => migration.backfilled && applied.includes(migration.version))) {
+            const existing = await pool.query('SELECT 1 FROM records LIMIT 1');
+            if (existing.rows.length > 0) {
+                console.log('Schema updated on a database with sales records: run `node server.js backfill` to fill the new columns');
+            }
+        }
 
-        // Initialize Booksonix table
-        await initBooksonixTable();
+        for (const profile of BUILTIN_IMPORT_PROFILES) {
+            await pool.query(
+                `INSERT INTO import_profiles (name, target, column_map, builtin_key, is_builtin)
+                 VALUES ($1, $2, $3, $4, true)
+                 ON CONFLICT DO NOTHING`,
+                [profile.name, profile.target, JSON.stringify(profile.column_map), profile.builtin_key]
+            );
+            // Fields added to a built-in profile since it was saved are merged
+            // in; saved mappings win
+            await pool.query(
+                `UPDATE import_profiles SET column_map = $1::jsonb || column_map
+                 WHERE builtin_key = $2`,
+                [JSON.stringify(profile.column_map), profile.builtin_key]
+            );
+        }
+        await loadMappingCache();
 
         console.log('Database tables created successfully');
         
@@ -313,864 +998,6288 @@ async function initDatabase() {
     }
 }
 
-// Initialize database on startup
-initDatabase().catch(err => {
-    console.error('Failed to initialize database:', err);
-});
+// Collapse whitespace so stray spaces don't create new customers
+function cleanCustomerName(name) {
+    return String(name || '').replace(/\s+/g, ' ').trim();
+}
 
-// Helper function to apply customer name mapping
-function applyMapping(customerName) {
-    return customerNameMappings[customerName] || customerName;
+// Normalise a customer name for comparison: case, punctuation, whitespace,
+// a leading "THE" and trailing company suffixes are ignored
+function normalizeCustomerName(name) {
+    const words = cleanCustomerName(name)
+        .toUpperCase()
+        .replace(/&/g, ' AND ')
+        .replace(/\./g, '')
+        .replace(/[^A-Z0-9]+/g, ' ')
+        .trim()
+        .split(' ')
+        .filter(Boolean);
+
+    if (words.length > 1 && words[0] === 'THE') words.shift();
+    while (words.length > 1 && COMPANY_SUFFIXES.includes(words[words.length - 1])) words.pop();
+
+    return words.join(' ');
 }
 
-// Helper function to log uploads
-async function logUpload(filename, recordCount) {
-    try {
-        await pool.query(
-            'INSERT INTO upload_log (filename, records_count) VALUES ($1, $2)',
-            [filename, recordCount]
-        );
-    } catch (err) {
-        console.error('Error logging upload:', err);
+// Check whether a single mapping rule matches a customer name
+function mappingRuleMatches(rule, customerName) {
+    const name = cleanCustomerName(customerName);
+    switch (rule.match_type) {
+        case 'prefix':
+            return normalizeCustomerName(name).startsWith(normalizeCustomerName(rule.original_name));
+        case 'regex':
+            try {
+                return new RegExp(rule.original_name, 'i').test(name);
+            } catch (e) {
+                return false;
+            }
+        default:
+            return name === cleanCustomerName(rule.original_name) ||
+                normalizeCustomerName(name) === normalizeCustomerName(rule.original_name);
     }
 }
 
-// =============================================
-// PAGE ROUTES
-// =============================================
-
-// Home page
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+// Helper function to apply customer name mapping. Exact names win, then the
+// normalised name, then the longest matching prefix, then regex rules in order.
+function applyMapping(customerName) {
+    const name = cleanCustomerName(customerName);
+    if (!name) return customerName;
 
-// Upload page
-app.get('/upload', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'upload.html'));
-});
+    const exact = customerNameMappings.exact.get(name);
+    if (exact) return exact;
 
-// Customers page
-app.get('/customers', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'customers.html'));
-});
+    const normalized = normalizeCustomerName(name);
+    const byNormalized = customerNameMappings.normalized.get(normalized);
+    if (byNormalized) return byNormalized;
 
-// Reports page
-app.get('/reports', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'reports.html'));
-});
+    const prefix = customerNameMappings.prefix.find(rule => normalized.startsWith(rule.pattern));
+    if (prefix) return prefix.display_name;
 
-// Settings page
-app.get('/settings', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'settings.html'));
-});
+    const regex = customerNameMappings.regex.find(rule => rule.pattern.test(name));
+    if (regex) return regex.display_name;
 
-// Login page (explicit route)
-app.get('/login', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'login.html'));
-});
+    return name;
+}
 
-// Login page with .html extension
-app.get('/login.html', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'login.html'));
-});
+// Reload the mapping cache from the database
+async function loadMappingCache() {
+    const result = await pool.query(
+        'SELECT original_name, display_name, match_type FROM customer_mappings ORDER BY id'
+    );
+
+    const cache = { exact: new Map(), normalized: new Map(), prefix: [], regex: [] };
+    for (const row of result.rows) {
+        if (row.match_type === 'prefix') {
+            cache.prefix.push({ pattern: normalizeCustomerName(row.original_name), display_name: row.display_name });
+        } else if (row.match_type === 'regex') {
+            try {
+                cache.regex.push({ pattern: new RegExp(row.original_name, 'i'), display_name: row.display_name });
+            } catch (e) {
+                console.error('Skipping invalid mapping pattern:', row.original_name);
+            }
+        } else {
+            cache.exact.set(cleanCustomerName(row.original_name), row.display_name);
+            const normalized = normalizeCustomerName(row.original_name);
+            if (!cache.normalized.has(normalized)) {
+                cache.normalized.set(normalized, row.display_name);
+            }
+        }
+    }
+    cache.prefix.sort((a, b) => b.pattern.length - a.pattern.length);
+
+    customerNameMappings = cache;
+}
+
+// Validate a mapping rule from a request body; returns an error message or null
+function validateMappingRule(originalName, displayName, matchType) {
+    if (!originalName || !displayName) {
+        return 'Original name and display name are required';
+    }
+    if (!MAPPING_MATCH_TYPES.includes(matchType)) {
+        return 'Invalid match type';
+    }
+    if (matchType === 'regex') {
+        try {
+            new RegExp(originalName, 'i');
+        } catch (e) {
+            return 'Invalid regular expression: ' + e.message;
+        }
+    }
+    return null;
+}
+
+// Dice coefficient over character bigrams, ignoring spaces (0..1)
+function nameSimilarity(a, b) {
+    const bigrams = (value) => {
+        const compact = value.replace(/ /g, '');
+        const set = new Set();
+        for (let i = 0; i < compact.length - 1; i++) {
+            set.add(compact.slice(i, i + 2));
+        }
+        return set;
+    };
+
+    if (a === b) return 1;
+    const setA = bigrams(a);
+    const setB = bigrams(b);
+    if (setA.size === 0 || setB.size === 0) return 0;
+
+    let shared = 0;
+    for (const gram of setA) {
+        if (setB.has(gram)) shared++;
+    }
+    return (2 * shared) / (setA.size + setB.size);
+}
+
+// Find the distinct customer names in records that a mapping rule matches
+async function findRecordNamesForRule(client, rule) {
+    const result = await client.query(
+        'SELECT DISTINCT customer_name FROM records WHERE customer_name IS NOT NULL'
+    );
+    return result.rows
+        .map(row => row.customer_name)
+        .filter(name => mappingRuleMatches(rule, name));
+}
+
+// Move existing sales rows and the exclusion flag from the given names onto
+// a new display name. Runs on the caller's client so it can join a transaction.
+async function remapCustomerRecords(client, fromNames, toName) {
+    const names = fromNames.filter(name => name && name !== toName);
+    if (names.length === 0) return 0;
+
+    const result = await client.query(
+        'UPDATE records SET customer_name = $1 WHERE customer_name = ANY($2::text[])',
+        [toName, names]
+    );
+    await mergeCustomersInto(client, toName, names);
+
+    // Carry the exclusion over; excluded wins if either side was excluded
+    await client.query(
+        `INSERT INTO customer_exclusions (customer_name, excluded)
+         SELECT $1, bool_or(excluded) FROM customer_exclusions
+         WHERE customer_name = ANY($2::text[])
+         HAVING COUNT(*) > 0
+         ON CONFLICT (customer_name)
+         DO UPDATE SET excluded = customer_exclusions.excluded OR EXCLUDED.excluded,
+                       updated_at = CURRENT_TIMESTAMP`,
+        [toName, names]
+    );
+    await client.query(
+        'DELETE FROM customer_exclusions WHERE customer_name = ANY($1::text[])',
+        [names]
+    );
+
+    return result.rowCount;
+}
+
+// =============================================
+// CURRENCIES
+// =============================================
+
+// Amounts without a currency are in the base currency. An exchange rate is
+// the units of a currency worth one unit of the base currency on a date.
+const BASE_CURRENCY = 'GBP';
+const CURRENCY_SYMBOLS = { '£': 'GBP', '€': 'EUR', '$': 'USD' };
+
+// Normalise a currency code or symbol to an ISO 4217 code; null if invalid
+function normalizeCurrency(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim().toUpperCase();
+    if (CURRENCY_SYMBOLS[text]) return CURRENCY_SYMBOLS[text];
+    return /^[A-Z]{3}$/.test(text) ? text : null;
+}
+
+// Currency written into an amount, e.g. "EUR 12.50" or "£9.99"
+function detectCurrency(value) {
+    if (typeof value !== 'string') return null;
+    const code = value.toUpperCase().match(/\b(GBP|EUR|USD)\b/);
+    if (code) return code[1];
+    const symbol = value.match(/[£€$]/);
+    return symbol ? CURRENCY_SYMBOLS[symbol[0]] : null;
+}
+
+// Reporting currency from a request; defaults to the base currency
+function parseReportingCurrency(value) {
+    if (value === undefined || value === null || value === '') return BASE_CURRENCY;
+    const currency = normalizeCurrency(value);
+    if (!currency) {
+        throw httpError(400, `Invalid currency "${value}"`);
+    }
+    return currency;
+}
+
+// SQL for the rate of a currency on a date: the latest rate on or before the
+// date, else the earliest after it. 1 for the base currency; NULL without rates.
+function exchangeRateSql(currencySql, dateSql) {
+    const lookup = (condition, order) => `(SELECT er.rate FROM exchange_rates er
+            WHERE er.currency = ${currencySql} AND er.rate_date ${condition} ${dateSql}
+            ORDER BY er.rate_date ${order} LIMIT 1)`;
+    return `(CASE WHEN ${currencySql} = '${BASE_CURRENCY}' THEN 1
+        ELSE COALESCE(${lookup('<=', 'DESC')}, ${lookup('>', 'ASC')}) END)`;
+}
+
+// SQL converting the sales line r's total into a currency at the rate on its
+// order date; NULL when a rate is missing
+function convertedTotalSql(currencySql) {
+    const from = `COALESCE(r.currency, '${BASE_CURRENCY}')`;
+    const date = 'COALESCE(r.order_date, CURRENT_DATE)';
+    return `(CASE WHEN ${from} = ${currencySql} THEN r.total
+        ELSE r.total * ${exchangeRateSql(currencySql, date)} / ${exchangeRateSql(from, date)} END)`;
+}
+
+// Parse an exchange rate from a request body or CSV row
+function validateExchangeRate(input) {
+    const rateDate = coerceDate(input.rate_date, 'auto');
+    const currency = normalizeCurrency(input.currency);
+    const rate = coerceDecimal(input.rate === undefined || input.rate === null ? '' : input.rate, false);
+
+    if (!rateDate) return { error: `Invalid date "${input.rate_date}"` };
+    if (!currency) return { error: `Invalid currency "${input.currency}"` };
+    if (currency === BASE_CURRENCY) return { error: `${BASE_CURRENCY} is the base currency and always has a rate of 1` };
+    if (!rate || rate <= 0) return { error: `Invalid rate "${input.rate}"` };
+
+    return { rate: { rate_date: rateDate, currency, rate } };
+}
+
+// Read exchange rates from an imported sheet: either Date, Currency and Rate
+// columns, or a Date column and one column per currency code
+function parseExchangeRateSheet(sheet) {
+    const headerLookup = buildHeaderLookup(sheet.headers);
+    const dateHeaders = ['Date', 'Rate Date'];
+    const long = headerLookup.has('currency');
+    const currencyHeaders = long ? [] : sheet.headers.filter(header =>
+        /^[A-Za-z]{3}$/.test(String(header).trim()) && normalizeCurrency(header) !== BASE_CURRENCY
+    );
+
+    if (!dateHeaders.some(header => headerLookup.has(header.toLowerCase())) || (!long && currencyHeaders.length === 0)) {
+        throw httpError(400, 'Expected a Date column and either Currency and Rate columns or one column per currency');
+    }
+
+    const rates = [];
+    const rejected = [];
+    sheet.rows.forEach((row, index) => {
+        const rateDate = getProfileValue(row, headerLookup, dateHeaders);
+        const entries = long
+            ? [{ currency: getProfileValue(row, headerLookup, ['Currency']), rate: getProfileValue(row, headerLookup, ['Rate', 'Exchange Rate']) }]
+            : currencyHeaders
+                .filter(header => row[header] !== undefined && String(row[header]).trim() !== '')
+                .map(header => ({ currency: header, rate: row[header] }));
+
+        entries.forEach(entry => {
+            const { rate, error } = validateExchangeRate({ rate_date: rateDate, ...entry });
+            if (error) {
+                rejected.push({ row: index + 2, error });
+            } else {
+                rates.push(rate);
+            }
+        });
+    });
+    return { rates, rejected };
+}
+
+// Insert or replace exchange rates, keyed by currency and date
+async function saveExchangeRates(client, rates, source) {
+    const unique = new Map(rates.map(rate => [`${rate.currency}|${rate.rate_date}`, rate]));
+    let saved = 0;
+    for (const batch of chunk(Array.from(unique.values()), IMPORT_BATCH_SIZE)) {
+        const params = [];
+        batch.forEach(rate => params.push(rate.rate_date, rate.currency, rate.rate, source));
+        const result = await client.query(
+            `INSERT INTO exchange_rates (rate_date, currency, rate, source)
+             VALUES ${valuesPlaceholders(batch.length, 4)}
+             ON CONFLICT (currency, rate_date)
+             DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source, created_at = CURRENT_TIMESTAMP`,
+            params
+        );
+        saved += result.rowCount;
+    }
+    return saved;
+}
+
+// =============================================
+// CUSTOMERS
+// =============================================
+
+const CUSTOMER_TYPES = ['bookshop', 'wholesaler', 'distributor', 'gallery', 'museum', 'library', 'online', 'individual', 'other'];
+
+// Details copied onto a customer from the customers merged into it
+const CUSTOMER_DETAIL_FIELDS = ['address', 'postcode', 'city', 'country_code', 'customer_type', 'email', 'notes'];
+
+// Point sales rows at their customer. Names listed as another customer's
+// alias are renamed to that customer; new names become new customers. Then
+// fill in locations still unknown from the sales rows, for the customers of
+// the given upload or record, or for every customer without either.
+async function linkRecordsToCustomers(client, { uploadId = null, recordId = null } = {}) {
+    await client.query(
+        `UPDATE records r SET customer_id = c.id, customer_name = c.name
+         FROM customers c
+         WHERE r.customer_id IS NULL AND r.customer_name = ANY(c.aliases)`
+    );
+
+    const unlinked = await client.query(
+        `SELECT DISTINCT r.customer_name
+         FROM records r
+         LEFT JOIN customers c ON c.name = r.customer_name
+         WHERE r.customer_id IS NULL AND r.customer_name IS NOT NULL AND c.id IS NULL`
+    );
+    for (const batch of chunk(unlinked.rows, IMPORT_BATCH_SIZE)) {
+        await client.query(
+            `INSERT INTO customers (name)
+             VALUES ${valuesPlaceholders(batch.length, 1)}
+             ON CONFLICT (name) DO NOTHING`,
+            batch.map(row => row.customer_name)
+        );
+    }
+
+    const linked = await client.query(
+        `UPDATE records r SET customer_id = c.id
+         FROM customers c
+         WHERE r.customer_id IS NULL AND c.name = r.customer_name`
+    );
+
+    let customerIds = null;
+    if (uploadId || recordId) {
+        const touched = await client.query(
+            `SELECT DISTINCT customer_id FROM records
+             WHERE customer_id IS NOT NULL AND (upload_id = $1 OR id = $2)`,
+            [uploadId, recordId]
+        );
+        customerIds = touched.rows.map(row => row.customer_id);
+    }
+    await fillCustomerLocations(client, customerIds);
+    return linked.rowCount;
+}
+
+// Fill the unknown location fields of customers from their most recent sales
+// row with a recognised country (latest order date, then latest row). Known
+// values are never overwritten, and when the country is already known only
+// rows in that country are used; likewise postcode and address only come
+// from rows in a known city. customerIds limits the customers filled; null
+// fills every customer. Returns the number of customers updated.
+async function fillCustomerLocations(client, customerIds = null) {
+    if (customerIds && customerIds.length === 0) return 0;
+
+    const params = [];
+    let scope = '';
+    if (customerIds) {
+        params.push(customerIds);
+        scope = `AND c.id = ANY($${params.length}::int[])`;
+    }
+    const incomplete = 'c.country_code IS NULL OR c.city IS NULL OR c.postcode IS NULL OR c.address IS NULL';
+
+    // Country names in the sales rows, resolved to ISO codes
+    const countries = await client.query(
+        `SELECT DISTINCT r.country
+         FROM customers c
+         JOIN records r ON r.customer_id = c.id
+         WHERE (${incomplete}) AND COALESCE(r.country, 'Unknown') <> 'Unknown' ${scope}`,
+        params
+    );
+    const codes = countries.rows
+        .map(row => ({ country: row.country, code: normalizeCountryCode(row.country) }))
+        .filter(row => row.code);
+    if (codes.length === 0) return 0;
+    params.push(codes.map(row => row.country), codes.map(row => row.code));
+
+    const knownCity = `NULLIF(NULLIF(r.city, ''), 'Unknown')`;
+    const sameCity = `(c.city IS NULL OR ${knownCity} IS NULL OR LOWER(c.city) = LOWER(TRIM(r.city)))`;
+    const result = await client.query(
+        `UPDATE customers c
+         SET country_code = COALESCE(c.country_code, src.code),
+             city = COALESCE(c.city, src.city),
+             postcode = COALESCE(c.postcode, src.postcode),
+             address = COALESCE(c.address, src.address)
+         FROM (
+             SELECT DISTINCT ON (c.id)
+                    c.id, m.code, ${knownCity} AS city,
+                    CASE WHEN ${sameCity} THEN NULLIF(NULLIF(r.postcode, ''), 'Unknown') END AS postcode,
+                    CASE WHEN ${sameCity} THEN NULLIF(NULLIF(r.address, ''), 'Unknown') END AS address
+             FROM customers c
+             JOIN records r ON r.customer_id = c.id
+             JOIN unnest($${params.length - 1}::text[], $${params.length}::text[]) AS m(country, code) ON m.country = r.country
+             WHERE (${incomplete}) AND (c.country_code IS NULL OR c.country_code = m.code) ${scope}
+             ORDER BY c.id, r.order_date DESC NULLS LAST, r.id DESC
+         ) src
+         WHERE c.id = src.id
+           AND ((c.country_code IS NULL AND src.code IS NOT NULL)
+             OR (c.city IS NULL AND src.city IS NOT NULL)
+             OR (c.postcode IS NULL AND src.postcode IS NOT NULL)
+             OR (c.address IS NULL AND src.address IS NOT NULL))`,
+        params
+    );
+    return result.rowCount;
+}
+
+// Find or create the customer with this canonical name
+async function ensureCustomer(client, name) {
+    const result = await client.query(
+        `INSERT INTO customers (name) VALUES ($1)
+         ON CONFLICT (name) DO UPDATE SET name = EXCLUDED.name
+         RETURNING *`,
+        [name]
+    );
+    return result.rows[0];
+}
+
+// Fold the customers with the given names into targetName (created if
+// needed): their sales rows move over, their names become aliases and any
+// details the target lacks are copied across. Runs on the caller's client.
+async function mergeCustomersInto(client, targetName, fromNames) {
+    const target = await ensureCustomer(client, targetName);
+    const sources = await client.query(
+        'SELECT * FROM customers WHERE name = ANY($1::text[]) AND id <> $2 ORDER BY id',
+        [fromNames, target.id]
+    );
+
+    const updates = { ...target };
+    sources.rows.forEach(source => {
+        CUSTOMER_DETAIL_FIELDS.forEach(field => {
+            if (updates[field] == null && source[field] != null) updates[field] = source[field];
+        });
+    });
+    const aliases = new Set(target.aliases || []);
+    [...fromNames, ...sources.rows.flatMap(source => source.aliases || [])]
+        .filter(name => name && name !== targetName)
+        .forEach(name => aliases.add(name));
+
+    await client.query(
+        `UPDATE customers
+         SET aliases = $1, address = $2, postcode = $3, city = $4, country_code = $5,
+             customer_type = $6, email = $7, notes = $8, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $9`,
+        [Array.from(aliases), updates.address, updates.postcode, updates.city, updates.country_code,
+         updates.customer_type, updates.email, updates.notes, target.id]
+    );
+
+    const sourceIds = sources.rows.map(source => source.id);
+    await client.query(
+        `UPDATE records SET customer_id = $1, customer_name = $2
+         WHERE customer_name = ANY($3::text[]) OR customer_id = ANY($4::int[])`,
+        [target.id, targetName, fromNames, sourceIds]
+    );
+    await client.query('DELETE FROM customers WHERE id = ANY($1::int[])', [sourceIds]);
+
+    return target.id;
+}
+
+// Validate customer details from a request body; returns { customer } or
+// { error }. Country may be an ISO code or a country name.
+function validateCustomer(body) {
+    const name = cleanCustomerName(body.name);
+    const text = value => (value == null ? '' : String(value).trim()) || null;
+    const countryInput = text(body.country_code ?? body.country);
+    const countryCode = countryInput && countryInput !== 'Unknown' ? normalizeCountryCode(countryInput) : null;
+    const customerType = text(body.customer_type);
+    const email = text(body.email);
+    let aliases = body.aliases || [];
+    if (typeof aliases === 'string') aliases = aliases.split(',');
+
+    if (!name) return { error: 'Customer name is required' };
+    if (countryInput && countryInput !== 'Unknown' && !countryCode) return { error: `Unknown country "${countryInput}"` };
+    if (customerType && !CUSTOMER_TYPES.includes(customerType)) return { error: 'Invalid customer type' };
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { error: 'Invalid email address' };
+
+    return {
+        customer: {
+            name,
+            aliases: [...new Set(aliases.map(cleanCustomerName).filter(alias => alias && alias !== name))],
+            address: text(body.address),
+            postcode: text(body.postcode),
+            city: text(body.city) === 'Unknown' ? null : text(body.city),
+            country_code: countryCode,
+            customer_type: customerType,
+            email,
+            notes: text(body.notes),
+            active: body.active !== false && body.active !== 'false'
+        }
+    };
+}
+
+// Merge the source customers into the target and record what changed: the
+// customers and exclusions as they were, which sales rows each source owned
+// and any mappings written so future imports land on the target.
+async function mergeCustomers(client, targetId, sourceIds, createMapping, userId) {
+    const customers = await client.query(
+        'SELECT * FROM customers WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE',
+        [[targetId, ...sourceIds]]
+    );
+    const target = customers.rows.find(customer => customer.id === targetId);
+    const sources = customers.rows.filter(customer => customer.id !== targetId);
+    if (!target || sources.length !== sourceIds.length) {
+        throw httpError(404, 'Customer not found');
+    }
+    const sourceNames = sources.map(source => source.name);
+
+    const records = {};
+    let recordCount = 0;
+    const owned = await client.query(
+        `SELECT customer_id, array_agg(id ORDER BY id) AS ids
+         FROM records WHERE customer_id = ANY($1::int[])
+         GROUP BY customer_id`,
+        [sourceIds]
+    );
+    owned.rows.forEach(row => {
+        records[row.customer_id] = row.ids;
+        recordCount += row.ids.length;
+    });
+
+    const exclusions = await client.query(
+        'SELECT customer_name, excluded FROM customer_exclusions WHERE customer_name = ANY($1::text[])',
+        [customers.rows.map(customer => customer.name)]
+    );
+
+    const mappings = [];
+    if (createMapping) {
+        for (const name of sourceNames) {
+            const existing = await client.query('SELECT * FROM customer_mappings WHERE original_name = $1', [name]);
+            const saved = await client.query(
+                `INSERT INTO customer_mappings (original_name, display_name, match_type)
+                 VALUES ($1, $2, 'exact')
+                 ON CONFLICT (original_name)
+                 DO UPDATE SET display_name = EXCLUDED.display_name, match_type = 'exact', updated_at = CURRENT_TIMESTAMP
+                 RETURNING id`,
+                [name, target.name]
+            );
+            mappings.push({ id: saved.rows[0].id, previous: existing.rows[0] || null });
+        }
+    }
+
+    await remapCustomerRecords(client, sourceNames, target.name);
+
+    const operation = await client.query(
+        `INSERT INTO customer_operations
+            (operation, target_name, source_names, customer_ids, record_count, snapshot, performed_by)
+         VALUES ('merge', $1, $2, $3, $4, $5, $6)
+         RETURNING id`,
+        [target.name, sourceNames, [targetId, ...sourceIds], recordCount,
+         JSON.stringify({ customers: customers.rows, exclusions: exclusions.rows, records, mappings }), userId]
+    );
+    return { id: operation.rows[0].id, recordsMoved: recordCount, mappingsCreated: mappings.length };
+}
+
+// Move some of a customer's sales rows out to a new customer. The new name
+// stops being an alias anywhere so later imports under it stay separate.
+async function splitCustomer(client, sourceId, name, recordIds, userId) {
+    const result = await client.query('SELECT * FROM customers WHERE id = $1 FOR UPDATE', [sourceId]);
+    const source = result.rows[0];
+    if (!source) {
+        throw httpError(404, 'Customer not found');
+    }
+
+    const taken = await client.query('SELECT id FROM customers WHERE name = $1', [name]);
+    if (taken.rows.length > 0) {
+        throw httpError(400, 'Another customer already has this name');
+    }
+
+    const owned = await client.query(
+        'SELECT COUNT(*) AS count FROM records WHERE id = ANY($1::int[]) AND customer_id = $2',
+        [recordIds, sourceId]
+    );
+    if (Number(owned.rows[0].count) !== recordIds.length) {
+        throw httpError(400, 'Some of the selected orders do not belong to this customer');
+    }
+
+    const aliased = await client.query(
+        `UPDATE customers c SET aliases = array_remove(c.aliases, $1), updated_at = CURRENT_TIMESTAMP
+         FROM customers previous
+         WHERE previous.id = c.id AND $1 = ANY(c.aliases)
+         RETURNING c.id, previous.aliases`,
+        [name]
+    );
+
+    const created = await client.query('INSERT INTO customers (name) VALUES ($1) RETURNING id', [name]);
+    const customerId = created.rows[0].id;
+    await client.query(
+        'UPDATE records SET customer_id = $1, customer_name = $2 WHERE id = ANY($3::int[])',
+        [customerId, name, recordIds]
+    );
+
+    const operation = await client.query(
+        `INSERT INTO customer_operations
+            (operation, target_name, source_names, customer_ids, record_count, snapshot, performed_by)
+         VALUES ('split', $1, $2, $3, $4, $5, $6)
+         RETURNING id`,
+        [name, [source.name], [sourceId, customerId], recordIds.length,
+         JSON.stringify({ records: recordIds, aliases: aliased.rows }), userId]
+    );
+    return { id: operation.rows[0].id, customerId, recordsMoved: recordIds.length };
+}
+
+// Undo a merge or split. Later operations on the same customers have to be
+// reverted first, newest first.
+async function revertCustomerOperation(client, operation, userId) {
+    const later = await client.query(
+        `SELECT id FROM customer_operations
+         WHERE id > $1 AND reverted_at IS NULL AND customer_ids && $2::int[]
+         ORDER BY id DESC LIMIT 1`,
+        [operation.id, operation.customer_ids]
+    );
+    if (later.rows.length > 0) {
+        throw httpError(409, `Revert operation #${later.rows[0].id} first; it involves the same customers`);
+    }
+
+    const snapshot = operation.snapshot;
+    if (operation.operation === 'merge') {
+        const [targetId] = operation.customer_ids;
+        const target = snapshot.customers.find(customer => customer.id === targetId);
+        const sources = snapshot.customers.filter(customer => customer.id !== targetId);
+
+        for (const source of sources) {
+            await client.query(
+                `INSERT INTO customers
+                    (id, name, aliases, address, postcode, city, country_code, customer_type, email, notes, active, created_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+                [source.id, source.name, source.aliases, source.address, source.postcode, source.city,
+                 source.country_code, source.customer_type, source.email, source.notes, source.active, source.created_at]
+            );
+            await client.query(
+                'UPDATE records SET customer_id = $1, customer_name = $2 WHERE id = ANY($3::int[]) AND customer_id = $4',
+                [source.id, source.name, snapshot.records[source.id] || [], targetId]
+            );
+        }
+        await client.query(
+            `UPDATE customers
+             SET aliases = $1, address = $2, postcode = $3, city = $4, country_code = $5,
+                 customer_type = $6, email = $7, notes = $8, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $9`,
+            [target.aliases, target.address, target.postcode, target.city, target.country_code,
+             target.customer_type, target.email, target.notes, targetId]
+        );
+
+        const names = snapshot.customers.map(customer => customer.name);
+        await client.query('DELETE FROM customer_exclusions WHERE customer_name = ANY($1::text[])', [names]);
+        for (const exclusion of snapshot.exclusions) {
+            await client.query(
+                'INSERT INTO customer_exclusions (customer_name, excluded) VALUES ($1, $2)',
+                [exclusion.customer_name, exclusion.excluded]
+            );
+        }
+
+        for (const mapping of snapshot.mappings) {
+            if (mapping.previous) {
+                await client.query(
+                    'UPDATE customer_mappings SET display_name = $1, match_type = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+                    [mapping.previous.display_name, mapping.previous.match_type, mapping.id]
+                );
+            } else {
+                await client.query('DELETE FROM customer_mappings WHERE id = $1', [mapping.id]);
+            }
+        }
+    } else {
+        const [sourceId, customerId] = operation.customer_ids;
+        const result = await client.query('SELECT name FROM customers WHERE id = $1', [sourceId]);
+        if (result.rows.length === 0) {
+            throw httpError(409, 'The original customer no longer exists');
+        }
+
+        await client.query(
+            'UPDATE records SET customer_id = $1, customer_name = $2 WHERE customer_id = $3',
+            [sourceId, result.rows[0].name, customerId]
+        );
+        for (const row of snapshot.aliases) {
+            await client.query('UPDATE customers SET aliases = $1 WHERE id = $2', [row.aliases, row.id]);
+        }
+        const removed = await client.query('DELETE FROM customers WHERE id = $1 RETURNING name', [customerId]);
+        if (removed.rows.length > 0) {
+            await client.query('DELETE FROM customer_exclusions WHERE customer_name = $1', [removed.rows[0].name]);
+        }
+    }
+
+    await client.query(
+        'UPDATE customer_operations SET reverted_by = $1, reverted_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [userId, operation.id]
+    );
+}
+
+// =============================================
+// SESSIONS & AUTHORIZATION
+// =============================================
+
+// Helper function to parse the Cookie header into an object
+function parseCookies(header) {
+    const cookies = {};
+    if (!header) return cookies;
+
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index < 0) continue;
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (e) {
+            cookies[name] = value;
+        }
+    }
+    return cookies;
+}
+
+function hashSessionToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function setSessionCookie(res, token, maxAgeMs) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: maxAgeMs,
+        path: '/'
+    });
+}
+
+// Create a session for a user and return the raw token for the cookie
+async function createSession(userId, ttlMs) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    // Opportunistically drop expired sessions
+    await pool.query('DELETE FROM user_sessions WHERE expires_at < CURRENT_TIMESTAMP');
+
+    await pool.query(
+        'INSERT INTO user_sessions (token_hash, user_id, expires_at) VALUES ($1, $2, $3)',
+        [hashSessionToken(token), userId, new Date(Date.now() + ttlMs)]
+    );
+    return token;
+}
+
+// Attach req.user from the session cookie. The role is read from the users
+// table on every request so role changes and deletions take effect immediately.
+async function loadSession(req, res, next) {
+    req.user = null;
+
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (!token) return next();
+
+    try {
+        const result = await pool.query(
+            `SELECT u.id, u.username, u.email, u.role, s.expires_at
+             FROM user_sessions s
+             JOIN users u ON u.id = s.user_id
+             WHERE s.token_hash = $1 AND s.expires_at > CURRENT_TIMESTAMP`,
+            [hashSessionToken(token)]
+        );
+
+        if (result.rows.length > 0) {
+            req.user = result.rows[0];
+            req.sessionToken = token;
+        } else {
+            res.clearCookie(SESSION_COOKIE, { path: '/' });
+        }
+        next();
+    } catch (err) {
+        console.error('Session lookup error:', err);
+        next();
+    }
+}
+
+// Require a signed-in user, optionally with one of the given roles
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        if (roles.length > 0 && !roles.includes(req.user.role)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        next();
+    };
+}
+
+// Same as requireRole, but redirects instead of returning JSON (for HTML pages)
+function requirePage(...roles) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.redirect('/login.html');
+        }
+        if (roles.length > 0 && !roles.includes(req.user.role)) {
+            return res.redirect('/');
+        }
+        next();
+    };
+}
+
+const requireAuth = requireRole();
+const requireEditor = requireRole('admin', 'editor');
+const requireAdmin = requireRole('admin');
+
+// Helper function to log an upload inside an import transaction.
+// Returns the upload_log id that every imported row is tagged with.
+async function createUploadLog(client, filename, importType, userId) {
+    const result = await client.query(
+        'INSERT INTO upload_log (filename, records_count, import_type, uploaded_by) VALUES ($1, 0, $2, $3) RETURNING id',
+        [filename, importType, userId]
+    );
+    return result.rows[0].id;
+}
+
+// Run a callback inside a transaction on a dedicated client
+async function withTransaction(callback) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await callback(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+// =============================================
+// AUDIT LOG
+// =============================================
+
+const AUDIT_ENTITY_TYPES = [
+    'record', 'upload', 'customer', 'customer_operation', 'mapping', 'import_profile',
+    'catalogue_link', 'booksonix', 'exchange_rate', 'report_definition', 'user', 'settings', 'archive'
+];
+
+// Record a data-changing action in the audit log. Pass the transaction's
+// client so the entry commits or rolls back with the change itself.
+async function recordAudit(db, userId, action, entityType, entityId, before = null, after = null) {
+    await db.query(
+        `INSERT INTO audit_log (user_id, username, action, entity_type, entity_id, before_values, after_values)
+         VALUES ($1::integer, (SELECT username FROM users WHERE id = $1::integer), $2, $3, $4, $5, $6)`,
+        [
+            userId || null,
+            action,
+            entityType,
+            entityId === null || entityId === undefined ? null : String(entityId),
+            before === null ? null : JSON.stringify(before),
+            after === null ? null : JSON.stringify(after)
+        ]
+    );
+}
+
+// Parse audit log filters from a query string: userId, entityType,
+// entityId, action, startDate and endDate (YYYY-MM-DD), limit and offset
+function parseAuditFilters(query) {
+    const where = [];
+    const params = [];
+    const isoDate = /^\d{4}-\d{2}-\d{2}$/;
+
+    if (query.userId) {
+        params.push(parseInt(query.userId, 10) || 0);
+        where.push(`a.user_id = $${params.length}`);
+    }
+    if (query.entityType) {
+        if (!AUDIT_ENTITY_TYPES.includes(query.entityType)) {
+            throw httpError(400, 'Invalid entity type');
+        }
+        params.push(query.entityType);
+        where.push(`a.entity_type = $${params.length}`);
+    }
+    if (query.entityId) {
+        params.push(String(query.entityId));
+        where.push(`a.entity_id = $${params.length}`);
+    }
+    if (query.action) {
+        params.push(query.action);
+        where.push(`a.action = $${params.length}`);
+    }
+    for (const [key, operator, shift] of [['startDate', '>=', ''], ['endDate', '<', " + INTERVAL '1 day'"]]) {
+        if (!query[key]) continue;
+        if (!isoDate.test(query[key])) {
+            throw httpError(400, `${key} must be YYYY-MM-DD`);
+        }
+        params.push(query[key]);
+        where.push(`a.created_at ${operator} $${params.length}::date${shift}`);
+    }
+
+    return {
+        where: where.length > 0 ? `WHERE ${where.join(' AND ')}` : '',
+        params,
+        limit: Math.min(Math.max(parseInt(query.limit, 10) || 100, 1), 500),
+        offset: Math.max(parseInt(query.offset, 10) || 0, 0)
+    };
+}
+
+// =============================================
+// SETTINGS
+// =============================================
+
+// General settings and their defaults. The importers read them at upload
+// time, so a change applies to the next upload.
+const SETTING_DEFINITIONS = {
+    // Detect each upload's import profile from its columns. When off, only a
+    // profile saved for exactly the file's columns (or one the client names)
+    // is used; any other file goes to the column mapping dialog.
+    autoDetect: { type: 'boolean', default: true },
+    // Skip sales lines and Booksonix SKUs that were already imported, or
+    // overwrite them with the file's values
+    skipDuplicates: { type: 'boolean', default: true },
+    // Location given to sales lines whose file has none
+    defaultCountry: { type: 'country', default: 'Unknown' },
+    defaultCity: { type: 'string', default: 'Unknown' }
+};
+
+// Check a setting value against its type; returns { value } or { error }
+function parseSettingValue(key, value) {
+    const definition = SETTING_DEFINITIONS[key];
+    if (!definition) {
+        return { error: `Unknown setting "${key}"` };
+    }
+
+    switch (definition.type) {
+        case 'boolean':
+            if (typeof value === 'boolean') return { value };
+            if (value === 'true' || value === 'false') return { value: value === 'true' };
+            return { error: `${key} must be true or false` };
+        case 'country': {
+            const text = String(value ?? '').trim();
+            if (!text || text === 'Unknown') return { value: 'Unknown' };
+            const code = normalizeCountryCode(text);
+            return code ? { value: code } : { error: `Unknown country "${text}"` };
+        }
+        default: {
+            const text = String(value ?? '').trim();
+            if (text.length > 100) return { error: `${key} must be at most 100 characters` };
+            return { value: text || definition.default };
+        }
+    }
+}
+
+// All settings, with defaults for keys never saved
+async function loadSettings(db = pool) {
+    const settings = Object.fromEntries(
+        Object.entries(SETTING_DEFINITIONS).map(([key, definition]) => [key, definition.default])
+    );
+    const result = await db.query('SELECT key, value FROM settings');
+    result.rows.forEach(row => {
+        if (SETTING_DEFINITIONS[row.key]) settings[row.key] = row.value;
+    });
+    return settings;
+}
+
+// =============================================
+// BACKUP AND RESTORE
+// =============================================
+
+// A backup is a JSON lines file: a header line naming the archive format and
+// version, then one { table, row } line per row. Export All holds the same
+// data as a workbook, with the header on an Archive sheet and one sheet per
+// table. Bump the version when a schema change would make older archives
+// restore wrongly; columns that no longer exist are ignored on restore.
+const ARCHIVE_FORMAT = 'stockist-archive';
+const ARCHIVE_VERSION = 1;
+
+// Archived tables in restore order. Ids are not kept: rows are matched to
+// existing ones by their key, and foreign keys (refs) are pointed at the
+// restored or matched rows. Seeded tables are filled on startup or hold
+// configuration, so they may already have rows in an empty database.
+const ARCHIVE_TABLES = [
+    { table: 'users', key: ['username'], seeded: true },
+    { table: 'upload_log', key: ['filename', 'upload_date'], refs: { uploaded_by: 'users' } },
+    { table: 'customers', key: ['name'] },
+    { table: 'customer_mappings', key: ['original_name'], seeded: true },
+    { table: 'customer_exclusions', key: ['customer_name'] },
+    { table: 'import_profiles', key: ['name'], seeded: true },
+    { table: 'booksonix_records', key: ['sku'], refs: { upload_id: 'upload_log' } },
+    { table: 'booksonix_versions', key: ['sku', 'recorded_at'], refs: { booksonix_id: 'booksonix_records', upload_id: 'upload_log' } },
+    { table: 'catalogue_links', key: ['book_ean', 'title'], refs: { booksonix_id: 'booksonix_records', created_by: 'users' } },
+    {
+        table: 'records',
+        key: ['order_reference', 'line_identifier'],
+        refs: { upload_id: 'upload_log', booksonix_id: 'booksonix_records', customer_id: 'customers', original_record_id: 'records' }
+    },
+    { table: 'exchange_rates', key: ['currency', 'rate_date'] },
+    { table: 'report_definitions', key: ['owner_id', 'name'], refs: { owner_id: 'users' } },
+    { table: 'settings', key: ['key'], refs: { updated_by: 'users' }, seeded: true }
+];
+
+// Read every archived table as JSON rows. Dates and timestamps stay in
+// Postgres' text form, so they restore exactly. Password hashes are left
+// out unless asked for.
+async function readArchiveTables(includePasswords) {
+    const tables = {};
+    for (const { table } of ARCHIVE_TABLES) {
+        const row = table === 'users' && !includePasswords ? `to_jsonb(t) - 'password'` : 'to_jsonb(t)';
+        const result = await pool.query(`SELECT ${row} AS row FROM ${table} t ORDER BY t.id`);
+        tables[table] = result.rows.map(r => r.row);
+    }
+    return tables;
+}
+
+function archiveHeader(tables, includePasswords) {
+    return {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        created_at: new Date().toISOString(),
+        include_passwords: includePasswords,
+        tables: Object.fromEntries(Object.entries(tables).map(([table, rows]) => [table, rows.length]))
+    };
+}
+
+// Build the Export All workbook. JSON and array values are written as JSON
+// text, which restore parses back by the column type.
+function archiveWorkbook(tables, includePasswords) {
+    const header = archiveHeader(tables, includePasswords);
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet([
+        ['format', 'version', 'created_at', 'include_passwords', 'tables'],
+        [header.format, header.version, header.created_at, header.include_passwords, JSON.stringify(header.tables)]
+    ]), 'Archive');
+
+    for (const [table, rows] of Object.entries(tables)) {
+        const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+        xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet([
+            columns,
+            ...rows.map(row => columns.map(column => {
+                const value = row[column];
+                return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+            }))
+        ]), table);
+    }
+    return workbook;
+}
+
+// Read a backup or Export All file into { header, tables } and check that
+// it is an archive this server can restore
+async function readArchiveFile(filePath) {
+    let header;
+    const tables = {};
+
+    if (isWorkbookFile(filePath)) {
+        const sheets = await readImportSheets(filePath);
+        const info = sheets.find(sheet => sheet.name === 'Archive');
+        header = info && info.rows[0];
+        if (header && typeof header.tables === 'string') {
+            try {
+                header.tables = JSON.parse(header.tables);
+            } catch (error) {
+                throw httpError(400, 'The archive sheet is damaged');
+            }
+        }
+        sheets.filter(sheet => sheet !== info).forEach(sheet => {
+            tables[sheet.name] = sheet.rows;
+        });
+    } else {
+        const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim() !== '');
+        try {
+            header = JSON.parse(lines[0] || 'null');
+            lines.slice(1).forEach(line => {
+                const { table, row } = JSON.parse(line);
+                (tables[table] = tables[table] || []).push(row);
+            });
+        } catch (error) {
+            throw httpError(400, 'The file is not a valid archive');
+        }
+    }
+
+    if (!header || header.format !== ARCHIVE_FORMAT) {
+        throw httpError(400, 'The file is not a Stockist Database archive');
+    }
+    const version = Number(header.version);
+    if (!Number.isInteger(version) || version < 1) {
+        throw httpError(400, 'The archive has no valid version');
+    }
+    if (version > ARCHIVE_VERSION) {
+        throw httpError(400, `The archive is version ${version}; this server restores up to version ${ARCHIVE_VERSION}`);
+    }
+    for (const [table, count] of Object.entries(header.tables || {})) {
+        if ((tables[table] || []).length !== Number(count)) {
+            throw httpError(400, `The archive is incomplete: ${table} should have ${count} rows`);
+        }
+    }
+
+    return { header, tables };
+}
+
+// Column names and SQL types of a table
+async function loadTableColumns(client, table) {
+    const result = await client.query(
+        `SELECT attname AS name, format_type(atttypid, atttypmod) AS type
+         FROM pg_attribute WHERE attrelid = $1::regclass AND attnum > 0 AND NOT attisdropped`,
+        [table]
+    );
+    return new Map(result.rows.map(row => [row.name, row.type]));
+}
+
+// Find the ids of existing rows by key, as a Map from the position in
+// keyRows to the id. Keys with a missing part never match.
+async function findArchiveRows(client, spec, types, keyRows) {
+    const params = [];
+    const tuples = [];
+    keyRows.forEach((values, index) => {
+        if (values.some(value => value === null || value === undefined)) return;
+        params.push(index, ...values.map(String));
+        const offset = params.length - values.length - 1;
+        tuples.push(`($${offset + 1}::integer, ${values.map((value, i) => `$${offset + i + 2}`).join(', ')})`);
+    });
+    if (tuples.length === 0) return new Map();
+
+    const keyColumns = spec.key.map((column, i) => `k${i}`);
+    const result = await client.query(
+        `SELECT v.idx, MIN(t.id) AS id
+         FROM (VALUES ${tuples.join(', ')}) AS v(idx, ${keyColumns.join(', ')})
+         JOIN ${spec.table} t ON ${spec.key.map((column, i) => `t.${column} = v.k${i}::${types.get(column)}`).join(' AND ')}
+         GROUP BY v.idx`,
+        params
+    );
+    return new Map(result.rows.map(row => [row.idx, row.id]));
+}
+
+// Restore one table's archived rows. Rows matching an existing key are
+// skipped when merging, or overwritten when restoring into an empty
+// database, where the archive wins over the seeded defaults.
+async function restoreArchiveTable(client, spec, rows, mode, idMaps, usersWithoutPassword) {
+    const types = await loadTableColumns(client, spec.table);
+    const refs = spec.refs || {};
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))]
+        .filter(column => column !== 'id' && types.has(column));
+    const keyIndexes = spec.key.map(column => columns.indexOf(column));
+    const keyOf = values => keyIndexes.map(i => (i < 0 ? null : values[i]));
+    const generatePasswords = spec.table === 'users' && !columns.includes('password');
+    const counts = { inserted: 0, updated: 0, skipped: 0 };
+    const selfRefs = [];
+
+    for (const batch of chunk(rows, IMPORT_BATCH_SIZE)) {
+        const values = batch.map(row => columns.map(column => {
+            const type = types.get(column);
+            let value = row[column] === undefined ? null : row[column];
+            if (typeof value === 'string' && (type.endsWith('[]') || type === 'json' || type === 'jsonb')) {
+                try {
+                    value = JSON.parse(value);
+                } catch (error) {
+                    throw httpError(400, `The archive has an invalid ${column} value in ${spec.table}`);
+                }
+            }
+            if (refs[column] && value !== null) {
+                value = refs[column] === spec.table ? null : (idMaps[refs[column]].get(Number(value)) || null);
+            }
+            if (value !== null && (type === 'json' || type === 'jsonb')) {
+                value = JSON.stringify(value);
+            }
+            return value;
+        }));
+
+        const ids = await findArchiveRows(client, spec, types, values.map(keyOf));
+        const restored = new Set();
+        const toInsert = [];
+        for (let i = 0; i < batch.length; i++) {
+            if (!ids.has(i)) {
+                toInsert.push(i);
+            } else if (mode === 'empty') {
+                await client.query(
+                    `UPDATE ${spec.table} SET ${columns.map((column, c) => `${column} = $${c + 1}`).join(', ')}
+                     WHERE id = $${columns.length + 1}`,
+                    [...values[i], ids.get(i)]
+                );
+                counts.updated++;
+                restored.add(i);
+            } else {
+                counts.skipped++;
+            }
+        }
+
+        if (toInsert.length > 0) {
+            const insertColumns = generatePasswords ? [...columns, 'password'] : columns;
+            const params = [];
+            for (const i of toInsert) {
+                params.push(...values[i]);
+                if (generatePasswords) {
+                    // Unusable until an admin sets a new password
+                    params.push(await bcrypt.hash(crypto.randomBytes(24).toString('hex'), 10));
+                }
+            }
+            const inserted = await client.query(
+                `INSERT INTO ${spec.table} (${insertColumns.join(', ')})
+                 VALUES ${valuesPlaceholders(toInsert.length, insertColumns.length)}
+                 ON CONFLICT DO NOTHING RETURNING id`,
+                params
+            );
+            counts.inserted += inserted.rowCount;
+            counts.skipped += toInsert.length - inserted.rowCount;
+
+            const found = await findArchiveRows(client, spec, types, toInsert.map(i => keyOf(values[i])));
+            found.forEach((id, position) => {
+                ids.set(toInsert[position], id);
+                restored.add(toInsert[position]);
+                if (generatePasswords) {
+                    usersWithoutPassword.push(batch[toInsert[position]].username);
+                }
+            });
+        }
+
+        batch.forEach((row, i) => {
+            if (!ids.has(i)) return;
+            if (row.id !== undefined && row.id !== null) {
+                idMaps[spec.table].set(Number(row.id), ids.get(i));
+            }
+            if (!restored.has(i)) return;
+            Object.entries(refs).forEach(([column, table]) => {
+                if (table === spec.table && row[column] !== undefined && row[column] !== null) {
+                    selfRefs.push({ column, id: ids.get(i), ref: Number(row[column]) });
+                }
+            });
+        });
+    }
+
+    // References within the table, once all of its rows have ids
+    for (const { column, id, ref } of selfRefs) {
+        const target = idMaps[spec.table].get(ref);
+        if (target) {
+            await client.query(`UPDATE ${spec.table} SET ${column} = $1 WHERE id = $2`, [target, id]);
+        }
+    }
+
+    return counts;
+}
+
+// Restore an archive inside a transaction. 'empty' refuses to run when any
+// table that is not seeded on startup already has rows; 'merge' adds the
+// archived rows that are missing and keeps existing ones.
+async function restoreArchive(client, archive, mode) {
+    if (mode === 'empty') {
+        for (const spec of ARCHIVE_TABLES.filter(s => !s.seeded)) {
+            const result = await client.query(`SELECT EXISTS (SELECT 1 FROM ${spec.table}) AS used`);
+            if (result.rows[0].used) {
+                throw httpError(409, `The database is not empty (${spec.table} has rows). Restore with merge instead.`);
+            }
+        }
+    }
+
+    const idMaps = {};
+    const tables = {};
+    const usersWithoutPassword = [];
+    for (const spec of ARCHIVE_TABLES) {
+        idMaps[spec.table] = new Map();
+        const rows = archive.tables[spec.table] || [];
+        if (rows.length > 0) {
+            tables[spec.table] = await restoreArchiveTable(client, spec, rows, mode, idMaps, usersWithoutPassword);
+        }
+    }
+
+    return {
+        tables,
+        ignoredTables: Object.keys(archive.tables).filter(table => !ARCHIVE_TABLES.some(spec => spec.table === table)),
+        usersWithoutPassword
+    };
+}
+
+// =============================================
+// IMPORT HELPERS
+// =============================================
+
+// How long a dry-run preview can be confirmed for
+const IMPORT_PREVIEW_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Rows per multi-row INSERT statement
+const IMPORT_BATCH_SIZE = 1000;
+
+// Fields an import profile can fill, per target table. The type drives
+// coercion; rows missing a required field are rejected. Fields with
+// detection: false are read when present but don't count towards format
+// detection, since many files of a format leave them out.
+const IMPORT_FIELDS = {
+    sales: {
+        order_reference: { type: 'text', label: 'Order reference', required: true },
+        order_date: { type: 'date', label: 'Order date' },
+        customer_name: { type: 'text', label: 'Customer' },
+        title: { type: 'text', label: 'Title' },
+        line_item: { type: 'text', label: 'Line item' },
+        book_ean: { type: 'text', label: 'EAN / SKU' },
+        quantity: { type: 'integer', label: 'Quantity' },
+        unit_price: { type: 'decimal', label: 'Unit price', detection: false },
+        discount: { type: 'decimal', label: 'Discount', detection: false },
+        tax: { type: 'decimal', label: 'Tax', detection: false },
+        total: { type: 'decimal', label: 'Line total' },
+        transaction_type: { type: 'text', label: 'Transaction type', detection: false },
+        original_reference: { type: 'text', label: 'Original order', detection: false },
+        refunded_amount: { type: 'decimal', label: 'Refunded amount', detection: false },
+        order_total: { type: 'decimal', label: 'Order total', detection: false },
+        address: { type: 'text', label: 'Address', detection: false },
+        city: { type: 'text', label: 'City', detection: false },
+        postcode: { type: 'text', label: 'Postcode', detection: false },
+        country: { type: 'text', label: 'Country', detection: false },
+        currency: { type: 'currency', label: 'Currency', detection: false }
+    },
+    booksonix: {
+        sku: { type: 'text', label: 'SKU', required: true },
+        isbn: { type: 'text', label: 'ISBN' },
+        title: { type: 'text', label: 'Title' },
+        publisher: { type: 'text', label: 'Publisher' },
+        price: { type: 'decimal', label: 'Price' },
+        currency: { type: 'currency', label: 'Currency', detection: false }
+    }
+};
+
+const DATE_FORMATS = ['auto', 'DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD'];
+
+// Built-in profiles for the formats the importers have always understood
+const BUILTIN_IMPORT_PROFILES = [
+    {
+        builtin_key: 'gazelle',
+        name: 'Gazelle',
+        target: 'sales',
+        column_map: {
+            order_reference: ['Invoice', 'Order Reference'],
+            order_date: ['Date'],
+            customer_name: ['Customer'],
+            title: ['Title'],
+            book_ean: ['ISBN', 'EAN'],
+            quantity: ['Quantity', 'Qty'],
+            unit_price: ['Unit Price', 'Price'],
+            discount: ['Discount'],
+            tax: ['VAT', 'Tax'],
+            total: ['Total', 'Amount'],
+            transaction_type: ['Type', 'Document Type', 'Transaction Type'],
+            original_reference: ['Original Invoice', 'Credit For', 'Original Reference'],
+            address: ['Address', 'Address 1', 'Address Line 1', 'Delivery Address'],
+            city: ['City', 'Town', 'Delivery City', 'Delivery Town'],
+            postcode: ['Postcode', 'Post Code', 'Postal Code', 'Zip', 'Delivery Postcode'],
+            country: ['Country', 'Delivery Country'],
+            currency: ['Currency']
+        }
+    },
+    {
+        builtin_key: 'shopify',
+        name: 'Shopify',
+        target: 'sales',
+        column_map: {
+            order_reference: ['Name', 'Order Name'],
+            order_date: ['Created at'],
+            customer_name: ['Shipping Name'],
+            title: ['Lineitem name'],
+            line_item: ['Lineitem name'],
+            book_ean: ['Lineitem sku'],
+            quantity: ['Lineitem quantity'],
+            unit_price: ['Lineitem price'],
+            discount: ['Lineitem discount'],
+            total: [],
+            refunded_amount: ['Refunded Amount'],
+            order_total: ['Total'],
+            address: ['Shipping Address1', 'Shipping Street', 'Billing Address1', 'Billing Street'],
+            city: ['Shipping City', 'Billing City'],
+            postcode: ['Shipping Zip', 'Billing Zip'],
+            country: ['Shipping Country', 'Billing Country'],
+            currency: ['Currency']
+        }
+    },
+    {
+        builtin_key: 'booksonix',
+        name: 'Booksonix',
+        target: 'booksonix',
+        column_map: {
+            sku: ['SKU', 'Product SKU', 'Product Code', 'Item Code', 'Code'],
+            isbn: ['ISBN-13', 'ISBN13', 'ISBN', 'EAN'],
+            title: ['Title', 'Product Title', 'Product'],
+            publisher: ['Publishers', 'Publisher'],
+            price: ['Prices', 'Price', 'RRP'],
+            currency: ['Currency', 'Price Currency']
+        }
+    }
+];
+
+// File signatures of XLSX (zip) and legacy XLS (OLE) workbooks
+const WORKBOOK_SIGNATURES = [
+    Buffer.from([0x50, 0x4b, 0x03, 0x04]),
+    Buffer.from([0xd0, 0xcf, 0x11, 0xe0])
+];
+
+// Whether a file starts with a workbook signature
+function isWorkbookFile(filePath) {
+    const signature = Buffer.alloc(4);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        fs.readSync(fd, signature, 0, 4, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+    return WORKBOOK_SIGNATURES.some(magic => magic.equals(signature));
+}
+
+// Read a CSV file into its header list and row objects
+function readCsvRows(filePath) {
+    return new Promise((resolve, reject) => {
+        const rows = [];
+        let headers = [];
+        fs.createReadStream(filePath)
+            .pipe(csv({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '') }))
+            .on('headers', (list) => { headers = list; })
+            .on('data', (row) => rows.push(row))
+            .on('end', () => resolve({ headers, rows }))
+            .on('error', reject);
+    });
+}
+
+// Read one workbook sheet into its header list and row objects
+function readSheetRows(sheet) {
+    const headerRow = xlsx.utils.sheet_to_json(sheet, { header: 1 })[0] || [];
+    return {
+        headers: headerRow.filter(header => header !== undefined && header !== null).map(String),
+        rows: xlsx.utils.sheet_to_json(sheet)
+    };
+}
+
+// Read every sheet of an uploaded file. Workbooks are recognised by their
+// file signature rather than the extension, so a Gazelle export saved as CSV
+// or a Shopify export saved as XLSX reads the same as the original. A CSV is
+// returned as a single unnamed sheet.
+async function readImportSheets(filePath) {
+    if (!isWorkbookFile(filePath)) {
+        const { headers, rows } = await readCsvRows(filePath);
+        return [{ name: null, headers, rows }];
+    }
+
+    const workbook = xlsx.readFile(filePath);
+    return workbook.SheetNames
+        .map(name => ({ name, ...readSheetRows(workbook.Sheets[name]) }))
+        .filter(sheet => sheet.headers.length > 0);
+}
+
+// Look up a profile field in a row. Each field maps to a list of candidate
+// headers; the first one with a value wins. Headers match case-insensitively.
+function getProfileValue(row, headerLookup, candidates) {
+    for (const candidate of candidates || []) {
+        const header = headerLookup.get(String(candidate).trim().toLowerCase());
+        if (header === undefined) continue;
+        const value = row[header];
+        if (value !== undefined && value !== null && String(value).trim() !== '') {
+            return value;
+        }
+    }
+    return null;
+}
+
+// Map lower-cased header names back to the headers used in the file
+function buildHeaderLookup(headers) {
+    const lookup = new Map();
+    headers.forEach(header => {
+        const key = String(header).trim().toLowerCase();
+        if (!lookup.has(key)) lookup.set(key, header);
+    });
+    return lookup;
+}
+
+// Format a Date as YYYY-MM-DD, or null if it is not a real date
+function formatIsoDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+// Coerce a spreadsheet value to a YYYY-MM-DD date. Handles Excel serial
+// numbers, ISO dates (with or without a time part) and day/month/year text.
+// 'auto' treats ambiguous slash dates as DD/MM/YYYY.
+function coerceDate(value, format) {
+    if (value instanceof Date) {
+        return isNaN(value) ? null : value.toISOString().slice(0, 10);
+    }
+    if (typeof value === 'number') {
+        const parsed = xlsx.SSF.parse_date_code(value);
+        return parsed ? formatIsoDate(parsed.y, parsed.m, parsed.d) : null;
+    }
+
+    const text = String(value).trim();
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (iso && (format === 'auto' || format === 'YYYY-MM-DD')) {
+        return formatIsoDate(+iso[1], +iso[2], +iso[3]);
+    }
+
+    const parts = text.match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{2,4})/);
+    if (parts && format !== 'YYYY-MM-DD') {
+        let year = +parts[3];
+        if (year < 100) year += 2000;
+        return format === 'MM/DD/YYYY'
+            ? formatIsoDate(year, +parts[1], +parts[2])
+            : formatIsoDate(year, +parts[2], +parts[1]);
+    }
+
+    if (format === 'auto') {
+        const parsed = new Date(text);
+        if (!isNaN(parsed)) return parsed.toISOString().slice(0, 10);
+    }
+    return null;
+}
+
+// Coerce a price or amount to a number. Currency symbols and codes are
+// stripped (GBP, £, EUR, € ...), and decimal commas are supported.
+function coerceDecimal(value, decimalComma) {
+    if (typeof value === 'number') return value;
+
+    let text = String(value)
+        .replace(/\b(GBP|EUR|USD)\b/gi, '')
+        .replace(/[£€$\s]/g, '');
+
+    if (decimalComma) {
+        text = text.replace(/\./g, '').replace(/,/g, '.');
+    } else {
+        text = text.replace(/,/g, '');
+    }
+
+    const match = text.match(/-?\d+(\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+}
+
+// Normalise an EAN, ISBN-13 or ISBN-10 to a 13-digit EAN. Hyphens and
+// spaces are ignored and the identifier may be embedded in a longer code
+// (e.g. a Shopify SKU like "9781234567897-PB"). Returns null unless the
+// check digit is valid.
+function normalizeIsbn(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).toUpperCase().replace(/[\s-]/g, '');
+
+    const ean = text.match(/(?<!\d)\d{13}(?!\d)/);
+    if (ean) {
+        return eanCheckDigit(ean[0].slice(0, 12)) === ean[0][12] ? ean[0] : null;
+    }
+
+    const isbn10 = text.match(/(?<![\dX])\d{9}[\dX](?![\dX])/);
+    if (isbn10) {
+        const digits = isbn10[0];
+        let sum = 0;
+        for (let i = 0; i < 9; i++) sum += (10 - i) * +digits[i];
+        const check = (11 - (sum % 11)) % 11;
+        if ((check === 10 ? 'X' : String(check)) !== digits[9]) return null;
+
+        const body = '978' + digits.slice(0, 9);
+        return body + eanCheckDigit(body);
+    }
+    return null;
+}
+
+function eanCheckDigit(first12) {
+    let sum = 0;
+    for (let i = 0; i < 12; i++) sum += +first12[i] * (i % 2 === 0 ? 1 : 3);
+    return String((10 - (sum % 10)) % 10);
+}
+
+// Parse a raw row with an import profile into a record for the profile's
+// target table, coercing each field to its declared type. Without a currency
+// column the currency is taken from amounts like "EUR 12.50", else the base.
+// A sales line's total is net of discount and excludes tax; whichever of unit
+// price and line total the file lacks is derived from the other. Returns and
+// credit notes (see isReturnLine) are stored with a negative quantity, total
+// and tax. Shopify's refunded amount and order total belong to the whole
+// order and are returned beside the record for buildImportRows.
+// Sales lines without a location get the default country and city settings.
+function parseRowWithProfile(row, profile, headerLookup, settings = {}) {
+    const fields = IMPORT_FIELDS[profile.target];
+    const values = {};
+    let amountCurrency = null;
+
+    for (const [field, definition] of Object.entries(fields)) {
+        const raw = getProfileValue(row, headerLookup, profile.column_map[field]);
+
+        if (raw === null) {
+            if (definition.required) {
+                return { error: `Missing ${definition.label.toLowerCase()}` };
+            }
+            values[field] = null;
+            continue;
+        }
+
+        switch (definition.type) {
+            case 'date': {
+                const date = coerceDate(raw, profile.date_format || 'auto');
+                if (!date) return { error: `Invalid ${definition.label.toLowerCase()} "${raw}"` };
+                values[field] = date;
+                break;
+            }
+            case 'integer':
+            case 'decimal': {
+                const number = coerceDecimal(raw, profile.decimal_comma);
+                if (number === null) return { error: `Invalid ${definition.label.toLowerCase()} "${raw}"` };
+                values[field] = definition.type === 'integer' ? Math.trunc(number) : number;
+                amountCurrency = amountCurrency || detectCurrency(raw);
+                break;
+            }
+            case 'currency': {
+                const currency = normalizeCurrency(raw);
+                if (!currency) return { error: `Invalid ${definition.label.toLowerCase()} "${raw}"` };
+                values[field] = currency;
+                break;
+            }
+            default:
+                values[field] = String(raw).trim();
+        }
+    }
+
+    if (profile.target === 'booksonix') {
+        return {
+            record: {
+                sku: values.sku,
+                isbn: values.isbn,
+                isbn13: normalizeIsbn(values.isbn) || normalizeIsbn(values.sku),
+                title: values.title || '',
+                publisher: values.publisher || '',
+                price: values.price || 0,
+                currency: values.currency || amountCurrency || BASE_CURRENCY
+            }
+        };
+    }
+
+    const lineItem = values.line_item !== null ? values.line_item : (values.title || '');
+    const sign = isReturnLine(values) ? -1 : 1;
+    const quantity = Math.abs(values.quantity || 0);
+    const discount = Math.abs(values.discount || 0);
+    let total = values.total !== null ? Math.abs(values.total) : null;
+    let unitPrice = values.unit_price !== null ? Math.abs(values.unit_price) : null;
+    if (total === null && unitPrice !== null) {
+        total = roundMoney(unitPrice * quantity - discount);
+    }
+    if (unitPrice === null && total !== null && quantity !== 0) {
+        unitPrice = Math.round(((total + discount) / quantity) * 10000) / 10000;
+    }
+
+    const record = {
+        order_date: values.order_date,
+        customer_name: applyMapping(values.customer_name || 'Unknown'),
+        title: values.title || '',
+        book_ean: values.book_ean || '',
+        isbn13: normalizeIsbn(values.book_ean),
+        quantity: sign * quantity,
+        unit_price: unitPrice,
+        discount,
+        tax: sign * Math.abs(values.tax || 0),
+        total: sign * (total || 0),
+        currency: values.currency || amountCurrency || BASE_CURRENCY,
+        country: normalizeCountryCode(values.country) || values.country || settings.defaultCountry || 'Unknown',
+        city: values.city || settings.defaultCity || 'Unknown',
+        postcode: values.postcode,
+        address: values.address,
+        order_reference: values.order_reference,
+        // A return of a line on the same order must not replace its sale
+        line_identifier: `${values.order_reference}_${lineItem}${sign < 0 ? '_return' : ''}`,
+        transaction_type: sign < 0 ? 'return' : 'sale',
+        original_reference: values.original_reference
+    };
+
+    if (sign > 0 && (values.refunded_amount || values.order_total)) {
+        return {
+            record,
+            order: {
+                refunded: Math.abs(values.refunded_amount || 0),
+                total: values.order_total ? Math.abs(values.order_total) : null
+            }
+        };
+    }
+    return { record };
+}
+
+// Invoice numbers of Gazelle credit notes, e.g. "CN1234" or "CR-1234"
+const CREDIT_NOTE_REFERENCE = /^(CN|CR|CRN|CREDIT)[\s-]?\d/i;
+const RETURN_TRANSACTION_TYPE = /credit|refund|return/i;
+
+// A line is a return when its quantity or total is negative, it is on a
+// credit note, or its transaction type column says so
+function isReturnLine(values) {
+    return (values.quantity !== null && values.quantity < 0)
+        || (values.total !== null && values.total < 0)
+        || CREDIT_NOTE_REFERENCE.test(values.order_reference || '')
+        || RETURN_TRANSACTION_TYPE.test(values.transaction_type || '');
+}
+
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// Load the import profiles, optionally only those for one target table
+async function loadImportProfiles(target) {
+    const result = target
+        ? await pool.query('SELECT * FROM import_profiles WHERE target = $1 ORDER BY is_builtin DESC, name', [target])
+        : await pool.query('SELECT * FROM import_profiles ORDER BY is_builtin DESC, name');
+    return result.rows;
+}
+
+// Detection thresholds: below MIN_CONFIDENCE a file is not recognised at
+// all; candidates closer than AMBIGUITY_MARGIN to the best are ambiguous.
+const DETECTION_MIN_CONFIDENCE = 0.5;
+const DETECTION_AMBIGUITY_MARGIN = 0.1;
+
+const IMPORT_TARGET_LABELS = {
+    sales: 'a sales export',
+    booksonix: 'a Booksonix catalogue export'
+};
+
+// Rank every profile against every sheet of a file. Confidence weighs how
+// many of the profile's fields the sheet provides against how many of the
+// sheet's columns the profile uses, with a bonus when the sheet is named after
+// the profile. A saved header signature that matches exactly scores 1.
+// Returns the best sheet per profile, exact signature matches and then the
+// most confident first.
+function detectImportFormat(sheets, profiles) {
+    const candidates = [];
+
+    for (const profile of profiles) {
+        let best = null;
+        for (const sheet of sheets) {
+            const exact = matchesHeaderSignature(profile, sheet);
+            const confidence = exact ? 1 : scoreImportSheet(profile, sheet);
+            if (confidence > 0 && (!best || confidence > best.confidence)) {
+                best = { profile, sheet, confidence, exact };
+            }
+        }
+        if (best) candidates.push(best);
+    }
+
+    return candidates.sort((a, b) => (b.exact - a.exact) || (b.confidence - a.confidence));
+}
+
+function matchesHeaderSignature(profile, sheet) {
+    if (!profile.header_signature) return false;
+    const normalize = headers => headers.map(h => String(h).trim().toLowerCase()).sort().join('|');
+    return normalize(profile.header_signature) === normalize(sheet.headers);
+}
+
+function scoreImportSheet(profile, sheet) {
+    const fieldCoverage = scoreImportProfile(profile, buildHeaderLookup(sheet.headers));
+    if (fieldCoverage === 0) return 0;
+
+    const headers = sheet.headers.filter(header => String(header).trim() !== '');
+    const headerCoverage = headers.length > 0
+        ? (headers.length - unmappedHeaders(profile, headers).length) / headers.length
+        : 0;
+
+    const sheetName = (sheet.name || '').toLowerCase();
+    const named = sheetName && [profile.name, profile.builtin_key]
+        .some(label => label && sheetName.includes(label.toLowerCase()));
+
+    return Math.min(1, 0.7 * fieldCoverage + 0.3 * headerCoverage + (named ? 0.1 : 0));
+}
+
+// Fraction of a profile's mapped fields present in the file, or 0 when a
+// required field is missing
+function scoreImportProfile(profile, headerLookup) {
+    const fields = IMPORT_FIELDS[profile.target];
+    const present = (field) => (profile.column_map[field] || [])
+        .some(header => headerLookup.has(String(header).trim().toLowerCase()));
+
+    const missingRequired = Object.entries(fields)
+        .some(([field, definition]) => definition.required && !present(field));
+    if (missingRequired) return 0;
+
+    const mapped = Object.keys(fields)
+        .filter(field => fields[field].detection !== false && (profile.column_map[field] || []).length > 0);
+    if (mapped.length === 0) return 0;
+    return mapped.filter(present).length / mapped.length;
+}
+
+// Headers in the file that the profile does not use
+function unmappedHeaders(profile, headers) {
+    const used = new Set();
+    Object.values(profile.column_map).forEach(candidates => {
+        (candidates || []).forEach(header => used.add(String(header).trim().toLowerCase()));
+    });
+    return headers.filter(header => !used.has(String(header).trim().toLowerCase()));
+}
+
+// Normalise and validate a profile definition from a request body
+function validateImportProfile(body) {
+    const name = (body.name || '').trim();
+    const target = body.target;
+    const dateFormat = body.date_format || 'auto';
+
+    if (!name) return { error: 'Profile name is required' };
+    if (!IMPORT_FIELDS[target]) return { error: 'Invalid target' };
+    if (!DATE_FORMATS.includes(dateFormat)) return { error: 'Invalid date format' };
+
+    const columnMap = {};
+    for (const field of Object.keys(IMPORT_FIELDS[target])) {
+        let candidates = (body.column_map || {})[field] || [];
+        if (typeof candidates === 'string') candidates = candidates.split(',');
+        columnMap[field] = candidates.map(header => String(header).trim()).filter(Boolean);
+    }
+
+    const missing = Object.entries(IMPORT_FIELDS[target])
+        .filter(([field, definition]) => definition.required && columnMap[field].length === 0)
+        .map(([, definition]) => definition.label);
+    if (missing.length > 0) {
+        return { error: `A column is required for: ${missing.join(', ')}` };
+    }
+
+    return {
+        profile: {
+            name,
+            target,
+            column_map: columnMap,
+            date_format: dateFormat,
+            decimal_comma: body.decimal_comma === true || body.decimal_comma === 'true'
+        }
+    };
+}
+
+// Resolve the profile and sheet for an upload: an ad-hoc column map from the
+// mapping dialog (optionally saved as a new profile), an explicit profile id
+// or legacy dataType, or format detection. Returns { profile, sheet,
+// detection }, or { needsMapping } with a 422 payload when the file is not
+// recognised or matches several profiles equally well. With the autoDetect
+// setting off only a profile saved for exactly the file's columns is used.
+async function resolveImportProfile(req, target, sheets, settings) {
+    if (sheets.length === 0) {
+        throw httpError(400, 'The file has no header row');
+    }
+
+    if (req.body.columnMap) {
+        const sheet = sheets.find(candidate => candidate.name === req.body.sheet) || sheets[0];
+        let columnMap;
+        try {
+            columnMap = JSON.parse(req.body.columnMap);
+        } catch (e) {
+            throw httpError(400, 'Invalid column mapping');
+        }
+
+        const { profile, error } = validateImportProfile({
+            name: req.body.saveProfileAs || 'Custom mapping',
+            target,
+            column_map: columnMap,
+            date_format: req.body.dateFormat,
+            decimal_comma: req.body.decimalComma
+        });
+        if (error) {
+            throw httpError(400, error);
+        }
+
+        const detection = { method: 'manual', confidence: 1, sheet: sheet.name };
+        if (req.body.saveProfileAs) {
+            const result = await pool.query(
+                `INSERT INTO import_profiles (name, target, column_map, date_format, decimal_comma, header_signature)
+                 VALUES ($1, $2, $3, $4, $5, $6)
+                 RETURNING *`,
+                [profile.name, target, JSON.stringify(profile.column_map), profile.date_format, profile.decimal_comma, sheet.headers]
+            );
+            return { profile: result.rows[0], sheet, detection };
+        }
+        return { profile, sheet, detection };
+    }
+
+    const profiles = await loadImportProfiles();
+
+    if (req.body.profileId || req.body.dataType) {
+        const profile = profiles.find(candidate => candidate.target === target && (req.body.profileId
+            ? String(candidate.id) === String(req.body.profileId)
+            : candidate.builtin_key === req.body.dataType));
+        if (!profile) {
+            throw httpError(400, 'Unknown import profile');
+        }
+        const [match] = detectImportFormat(sheets, [profile]);
+        const sheet = match ? match.sheet : sheets[0];
+        return {
+            profile,
+            sheet,
+            detection: { method: 'profile', confidence: match ? match.confidence : 0, sheet: sheet.name }
+        };
+    }
+
+    const candidates = detectImportFormat(sheets, profiles);
+    if (!settings.autoDetect) {
+        const saved = candidates.find(candidate => candidate.exact && candidate.profile.target === target);
+        if (!saved) {
+            return {
+                needsMapping: {
+                    ...needsMappingResponse(target, sheets[0]),
+                    error: 'Automatic format detection is turned off in Settings. Please map the columns of this file.'
+                }
+            };
+        }
+        return {
+            profile: saved.profile,
+            sheet: saved.sheet,
+            detection: { method: 'signature', confidence: 1, sheet: saved.sheet.name }
+        };
+    }
+
+    const [best] = candidates;
+
+    if (!best || best.confidence < DETECTION_MIN_CONFIDENCE) {
+        return { needsMapping: needsMappingResponse(target, sheets[0]) };
+    }
+
+    if (best.profile.target !== target) {
+        throw httpError(422, `This file looks like ${IMPORT_TARGET_LABELS[best.profile.target]} ` +
+            `(${best.profile.name}, ${Math.round(best.confidence * 100)}% confidence), not ${IMPORT_TARGET_LABELS[target]}. ` +
+            'Please upload it on the matching page.');
+    }
+
+    const rivals = best.exact ? [] : candidates.filter(candidate =>
+        candidate !== best && best.confidence - candidate.confidence < DETECTION_AMBIGUITY_MARGIN
+    );
+    if (rivals.length > 0) {
+        const described = [best, ...rivals]
+            .map(candidate => `${candidate.profile.name} (${Math.round(candidate.confidence * 100)}%)`)
+            .join(', ');
+        return {
+            needsMapping: {
+                ...needsMappingResponse(target, best.sheet),
+                error: `This file matches several formats equally well: ${described}. Please map its columns.`,
+                ambiguous: true,
+                candidates: [best, ...rivals].map(describeDetection)
+            }
+        };
+    }
+
+    return {
+        profile: best.profile,
+        sheet: best.sheet,
+        detection: { method: 'auto', confidence: best.confidence, sheet: best.sheet.name }
+    };
+}
+
+function describeDetection(candidate) {
+    return {
+        profileId: candidate.profile.id,
+        profile: candidate.profile.name,
+        target: candidate.profile.target,
+        sheet: candidate.sheet.name,
+        confidence: Math.round(candidate.confidence * 100) / 100
+    };
+}
+
+// Error carrying an HTTP status for the route's catch block
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// Response asking the user to map a sheet's headers onto fields
+function needsMappingResponse(target, sheet) {
+    return {
+        error: 'The columns in this file do not match any import profile. Please map them to fields.',
+        needsMapping: true,
+        target,
+        sheet: sheet.name,
+        headers: sheet.headers,
+        fields: importFieldList(target),
+        dateFormats: DATE_FORMATS
+    };
+}
+
+// Field definitions as a list for clients
+function importFieldList(target) {
+    return Object.entries(IMPORT_FIELDS[target]).map(([field, definition]) => ({
+        field,
+        label: definition.label,
+        type: definition.type,
+        required: !!definition.required
+    }));
+}
+
+// Turn raw spreadsheet rows into preview rows. Row numbers match the
+// spreadsheet, where row 1 is the header.
+function buildImportRows(rawRows, parseRow) {
+    const orders = new Map();
+    const rows = rawRows.map((raw, index) => {
+        const parsed = parseRow(raw);
+        const row = {
+            row_number: index + 2,
+            status: parsed.error ? 'rejected' : 'new',
+            reason: parsed.error || null,
+            record: parsed.record || null
+        };
+        // Keep the original values of rejected rows for the error report
+        if (parsed.error) row.raw = raw;
+        // Order-level values are only given on one line of the order
+        if (parsed.order) {
+            const order = orders.get(row.record.order_reference) || { refunded: 0, total: null };
+            order.refunded = Math.max(order.refunded, parsed.order.refunded);
+            order.total = parsed.order.total !== null ? parsed.order.total : order.total;
+            orders.set(row.record.order_reference, order);
+        }
+        return row;
+    });
+
+    const refunds = orderRefundRows(rows, orders);
+    return rows.flatMap(row => (refunds.has(row) ? [row, refunds.get(row)] : [row]));
+}
+
+// Refund lines for the orders of an import, keyed by the sales row each
+// follows. Shopify's refunded amount covers the whole order, including tax
+// and shipping: the part refunded for goods (the order's net line totals
+// over its order total) is shared over its lines by their line total. The
+// copies count as returned only when the whole order was refunded. An order
+// whose lines have no total gets a single refund line with no product.
+function orderRefundRows(rows, orders) {
+    const refunds = new Map();
+
+    for (const [reference, order] of orders) {
+        if (!(order.refunded > 0)) continue;
+        const lines = rows.filter(row =>
+            row.status === 'new' && row.record.order_reference === reference && row.record.transaction_type === 'sale'
+        );
+        if (lines.length === 0) continue;
+
+        const refundLine = (line, values) => ({
+            row_number: line.row_number,
+            status: 'new',
+            reason: 'Refund',
+            record: {
+                ...line.record,
+                discount: 0,
+                tax: 0,
+                line_identifier: `${line.record.line_identifier}_refund`,
+                transaction_type: 'return',
+                original_reference: reference,
+                ...values
+            }
+        });
+
+        const netTotal = roundMoney(lines.reduce((sum, line) => sum + line.record.total, 0));
+        if (!(netTotal > 0)) {
+            const last = lines[lines.length - 1];
+            refunds.set(last, refundLine(last, {
+                title: '',
+                book_ean: '',
+                isbn13: null,
+                quantity: 0,
+                unit_price: null,
+                total: -order.refunded,
+                line_identifier: `${reference}_refund`
+            }));
+            continue;
+        }
+
+        const orderTotal = order.total !== null ? order.total : netTotal;
+        const wholeOrder = order.refunded >= orderTotal - 0.005;
+        const goodsRefund = wholeOrder ? netTotal : roundMoney(order.refunded * netTotal / orderTotal);
+
+        let remaining = goodsRefund;
+        lines.forEach((line, index) => {
+            const share = index === lines.length - 1
+                ? remaining
+                : roundMoney(goodsRefund * line.record.total / netTotal);
+            remaining = roundMoney(remaining - share);
+            refunds.set(line, refundLine(line, {
+                quantity: wholeOrder ? -Math.abs(line.record.quantity) : 0,
+                unit_price: wholeOrder ? line.record.unit_price : null,
+                total: -share
+            }));
+        });
+    }
+    return refunds;
+}
+
+// Fields of a sales line compared when overwriting duplicates
+const SALES_NUMBER_FIELDS = ['quantity', 'unit_price', 'discount', 'tax', 'total'];
+const SALES_TEXT_FIELDS = [
+    'order_date', 'title', 'book_ean', 'currency', 'country', 'city', 'postcode', 'address',
+    'transaction_type', 'original_reference'
+];
+
+// Mark sales rows that already exist in records, or repeat an earlier row
+// of the same file, as duplicates. With overwrite, lines already imported
+// whose values differ are marked updated instead.
+async function classifySalesRows(rows, overwrite = false) {
+    const keyOf = (record) => `${record.order_reference}\u0000${record.line_identifier}`;
+    const candidates = rows.filter(row => row.status === 'new');
+    const references = [...new Set(candidates.map(row => row.record.order_reference))];
+
+    const existing = new Map();
+    if (references.length > 0) {
+        const result = await pool.query(
+            `SELECT r.order_reference, r.line_identifier, r.order_date::text AS order_date, r.customer_name,
+                    c.aliases, ${[...SALES_NUMBER_FIELDS, ...SALES_TEXT_FIELDS.slice(1)].map(field => `r.${field}`).join(', ')}
+             FROM records r
+             LEFT JOIN customers c ON c.id = r.customer_id
+             WHERE r.order_reference = ANY($1::text[])`,
+            [references]
+        );
+        result.rows.forEach(row => existing.set(keyOf(row), row));
+    }
+
+    const seen = new Set();
+    for (const row of candidates) {
+        const key = keyOf(row.record);
+        const current = existing.get(key);
+        if (seen.has(key)) {
+            row.status = 'duplicate';
+            row.reason = 'Duplicate of an earlier row in this file';
+        } else if (current) {
+            const record = row.record;
+            const changes = overwrite ? [
+                ...SALES_NUMBER_FIELDS.filter(field => (record[field] ?? null) !== (current[field] === null ? null : parseFloat(current[field]))),
+                ...SALES_TEXT_FIELDS.filter(field => String(record[field] ?? '') !== String(current[field] ?? ''))
+            ] : [];
+            // A name the customer has absorbed as an alias is not a change
+            if (overwrite && record.customer_name !== current.customer_name &&
+                !(current.aliases || []).includes(record.customer_name)) {
+                changes.push('customer_name');
+            }
+
+            if (changes.length > 0) {
+                row.status = 'updated';
+                row.reason = 'Changed: ' + changes.join(', ');
+            } else {
+                row.status = 'duplicate';
+                row.reason = 'Already imported';
+            }
+        }
+        seen.add(key);
+    }
+    return rows;
+}
+
+// Compare Booksonix rows against the catalogue: new SKUs, SKUs whose fields
+// changed (updated), and SKUs with nothing to change (duplicate). Without
+// overwrite, every SKU already in the catalogue is a duplicate.
+async function classifyBooksonixRows(rows, overwrite = false) {
+    const candidates = rows.filter(row => row.status === 'new');
+    const skus = [...new Set(candidates.map(row => row.record.sku))];
+
+    const existing = new Map();
+    if (skus.length > 0) {
+        const result = await pool.query(
+            'SELECT sku, isbn, title, publisher, price, currency FROM booksonix_records WHERE sku = ANY($1::text[])',
+            [skus]
+        );
+        result.rows.forEach(row => existing.set(row.sku, row));
+    }
+
+    const seen = new Set();
+    for (const row of candidates) {
+        const record = row.record;
+        if (seen.has(record.sku)) {
+            row.status = 'duplicate';
+            row.reason = 'Duplicate SKU within this file';
+            continue;
+        }
+        seen.add(record.sku);
+
+        const current = existing.get(record.sku);
+        if (!current) continue;
+        if (!overwrite) {
+            row.status = 'duplicate';
+            row.reason = 'Already in catalogue';
+            continue;
+        }
+
+        const changes = [];
+        if (record.isbn && record.isbn !== current.isbn) changes.push('isbn');
+        if (record.title !== (current.title || '')) changes.push('title');
+        if (record.publisher !== (current.publisher || '')) changes.push('publisher');
+        if (record.price !== parseFloat(current.price || 0)) changes.push('price');
+        if (record.currency !== (current.currency || BASE_CURRENCY)) changes.push('currency');
+
+        if (changes.length > 0) {
+            row.status = 'updated';
+            row.reason = 'Changed: ' + changes.join(', ');
+        } else {
+            row.status = 'duplicate';
+            row.reason = 'No changes';
+        }
+    }
+    return rows;
+}
+
+// Count preview rows by status
+function summarizeImportRows(rows) {
+    const summary = { total: rows.length, new: 0, duplicate: 0, updated: 0, rejected: 0 };
+    rows.forEach(row => {
+        summary[row.status]++;
+    });
+    return summary;
+}
+
+// Split an array into chunks of the given size
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+// Build a multi-row VALUES clause: ($1, $2), ($3, $4), ...
+function valuesPlaceholders(rowCount, columnCount) {
+    const groups = [];
+    for (let r = 0; r < rowCount; r++) {
+        const params = [];
+        for (let c = 1; c <= columnCount; c++) {
+            params.push(`$${r * columnCount + c}`);
+        }
+        groups.push(`(${params.join(', ')})`);
+    }
+    return groups.join(', ');
+}
+
+// Columns written by a sales import, in insertSalesBatch's parameter order
+const SALES_IMPORT_COLUMNS = [
+    'order_date', 'customer_name', 'title', 'book_ean', 'quantity', 'unit_price', 'discount', 'tax', 'total',
+    'currency', 'country', 'city', 'postcode', 'address', 'order_reference', 'line_identifier', 'isbn13',
+    'transaction_type', 'original_reference', 'upload_id'
+];
+
+// Insert a batch of sales lines. Lines already in records are skipped, or
+// with overwrite take the new values but keep the upload that first imported
+// them; their customer, product and original sale links are cleared for
+// re-linking when the values those links rest on changed. Returns the
+// number of lines inserted and updated.
+async function insertSalesBatch(client, batch, uploadId, overwrite) {
+    const params = [];
+    batch.forEach(record => {
+        params.push(
+            record.order_date,
+            record.customer_name,
+            record.title,
+            record.book_ean,
+            record.quantity,
+            record.unit_price,
+            record.discount,
+            record.tax,
+            record.total,
+            record.currency,
+            record.country,
+            record.city,
+            record.postcode,
+            record.address,
+            record.order_reference,
+            record.line_identifier,
+            record.isbn13,
+            record.transaction_type || 'sale',
+            record.original_reference || null,
+            uploadId
+        );
+    });
+
+    const overwritten = SALES_IMPORT_COLUMNS
+        .filter(column => !['order_reference', 'line_identifier', 'upload_id'].includes(column))
+        .map(column => `${column} = EXCLUDED.${column}`);
+    const onConflict = overwrite
+        ? `DO UPDATE SET ${overwritten.join(', ')},
+            customer_id = CASE WHEN r.customer_name = EXCLUDED.customer_name THEN r.customer_id END,
+            booksonix_id = CASE WHEN r.isbn13 IS NOT DISTINCT FROM EXCLUDED.isbn13
+                AND r.book_ean IS NOT DISTINCT FROM EXCLUDED.book_ean
+                AND r.title IS NOT DISTINCT FROM EXCLUDED.title THEN r.booksonix_id END,
+            original_record_id = CASE WHEN r.original_reference IS NOT DISTINCT FROM EXCLUDED.original_reference
+                AND r.transaction_type = EXCLUDED.transaction_type THEN r.original_record_id END`
+        : 'DO NOTHING';
+
+    const result = await client.query(
+        `INSERT INTO records AS r (${SALES_IMPORT_COLUMNS.join(', ')})
+         VALUES ${valuesPlaceholders(batch.length, SALES_IMPORT_COLUMNS.length)}
+         ON CONFLICT (order_reference, line_identifier) ${onConflict}
+         RETURNING (xmax = 0) AS inserted`,
+        params
+    );
+    const inserted = result.rows.filter(row => row.inserted).length;
+    return { inserted, updated: result.rowCount - inserted };
+}
+
+// Insert the 'new' rows of a sales batch in one transaction, tagged with a
+// fresh upload_log entry, and overwrite the rows marked 'updated'. Any
+// failure rolls back the whole upload.
+async function commitSalesRows(rows, filename, userId, headers) {
+    const linesWithStatus = status => rows.filter(row => row.status === status).map(row => row.record);
+    let skipped = rows.filter(row => row.status === 'duplicate').length;
+
+    return withTransaction(async (client) => {
+        const uploadId = await createUploadLog(client, filename, 'sales', userId);
+        let inserted = 0;
+        let updated = 0;
+
+        for (const [status, overwrite] of [['new', false], ['updated', true]]) {
+            for (const batch of chunk(linesWithStatus(status), IMPORT_BATCH_SIZE)) {
+                const counts = await insertSalesBatch(client, batch, uploadId, overwrite);
+                inserted += counts.inserted;
+                updated += counts.updated;
+                skipped += batch.length - counts.inserted - counts.updated;
+            }
+        }
+
+        await client.query('UPDATE upload_log SET records_count = $1 WHERE id = $2', [inserted, uploadId]);
+        const rejected = await saveImportRejects(client, uploadId, rows, headers);
+        // Updated lines keep their first upload, so their product links are
+        // refreshed across all of records
+        const linked = await linkSalesToCatalogue(client, updated > 0 ? null : uploadId);
+        await linkRecordsToCustomers(client, updated > 0 ? {} : { uploadId });
+        await linkReturnsToSales(client, updated > 0 ? null : uploadId);
+        await recordAudit(client, userId, 'import', 'upload', uploadId, null, {
+            filename, import_type: 'sales', inserted, updated, skipped, rejected
+        });
+        return { uploadId, inserted, updated, skipped, rejected, linked };
+    });
+}
+
+// Point returns not yet linked at the sale they reverse: a line of the
+// original order they name, preferring the same product, or else the
+// customer's latest earlier sale of the product. With an upload id only the
+// upload's returns, and returns naming one of its orders, are looked at.
+// Returns the number of returns linked.
+async function linkReturnsToSales(client, uploadId = null) {
+    const params = uploadId ? [uploadId] : [];
+
+    const byReference = await client.query(`
+        UPDATE records SET original_record_id = m.sale_id
+        FROM (
+            SELECT DISTINCT ON (ret.id) ret.id, s.id AS sale_id
+            FROM records ret
+            JOIN records s ON s.order_reference = ret.original_reference AND s.transaction_type = 'sale'
+            WHERE ret.transaction_type = 'return' AND ret.original_record_id IS NULL
+            ${uploadId ? `AND (ret.upload_id = $1 OR ret.original_reference IN (
+                SELECT order_reference FROM records WHERE upload_id = $1))` : ''}
+            ORDER BY ret.id, (s.isbn13 = ret.isbn13 OR s.title = ret.title) DESC NULLS LAST,
+                     s.order_date DESC NULLS LAST, s.id DESC
+        ) m
+        WHERE records.id = m.id
+    `, params);
+
+    const byProduct = await client.query(`
+        UPDATE records SET original_record_id = m.sale_id
+        FROM (
+            SELECT DISTINCT ON (ret.id) ret.id, s.id AS sale_id
+            FROM records ret
+            JOIN records s ON s.customer_name = ret.customer_name AND s.transaction_type = 'sale'
+                AND (s.isbn13 = ret.isbn13 OR s.title = ret.title)
+                AND s.order_date <= ret.order_date
+            WHERE ret.transaction_type = 'return' AND ret.original_record_id IS NULL
+            AND ret.original_reference IS NULL
+            ${uploadId ? 'AND ret.upload_id = $1' : ''}
+            ORDER BY ret.id, s.order_date DESC NULLS LAST, s.id DESC
+        ) m
+        WHERE records.id = m.id
+    `, params);
+
+    return byReference.rowCount + byProduct.rowCount;
+}
+
+// Sales lines imported from Shopify exports before unit prices were kept
+// hold "Lineitem price" - a unit price - as their total. They are the lines
+// without a unit price whose upload had that column, or that predate upload
+// tracking and carry a Shopify order name like "#1001".
+const LEGACY_SHOPIFY_LINES = `
+    FROM records r
+    LEFT JOIN upload_log u ON u.id = r.upload_id
+    WHERE r.unit_price IS NULL AND r.transaction_type = 'sale'
+      AND (u.source_headers ? 'Lineitem price'
+           OR (u.source_headers IS NULL AND r.order_reference ~ '^#[0-9]+$'))`;
+
+// Find the legacy Shopify lines, and with apply set move each total into the
+// unit price and multiply it out by the quantity. Lines get a unit price once
+// repaired, so running this again changes nothing.
+async function repairShopifyLineTotals(client, apply) {
+    const found = await client.query(
+        `SELECT r.id, r.order_reference, r.order_date, r.customer_name, r.title, r.quantity, r.total, r.currency
+         ${LEGACY_SHOPIFY_LINES}
+         ORDER BY r.id`
+    );
+    const lines = found.rows;
+    if (!apply || lines.length === 0) {
+        return { lines: lines.length, repaired: 0, sample: lines.slice(0, 50) };
+    }
+
+    const result = await client.query(
+        `UPDATE records SET unit_price = total, total = total * quantity, discount = 0, tax = 0
+         WHERE id = ANY($1::int[])`,
+        [lines.map(line => line.id)]
+    );
+    return { lines: lines.length, repaired: result.rowCount, sample: [] };
+}
+
+// Catalogue fields kept in each Booksonix product version
+const BOOKSONIX_VERSION_FIELDS = ['isbn', 'title', 'publisher', 'price', 'currency'];
+
+// Fields that differ between two versions of a product, as
+// { field: { old, new } }. Empty text and missing values are the same.
+function diffBooksonixVersions(before, after) {
+    const normalize = (field, value) => {
+        if (value === null || value === undefined || value === '') return null;
+        return field === 'price' ? Number(value) : String(value);
+    };
+
+    const changes = {};
+    BOOKSONIX_VERSION_FIELDS.forEach(field => {
+        const from = normalize(field, before[field]);
+        const to = normalize(field, after[field]);
+        if (from !== to) {
+            changes[field] = { old: from, new: to };
+        }
+    });
+    return changes;
+}
+
+// Record the versions a Booksonix upload created
+async function insertBooksonixVersions(client, versions, uploadId) {
+    for (const batch of chunk(versions, IMPORT_BATCH_SIZE)) {
+        const params = [];
+        batch.forEach(({ product, changeType, changes }) => {
+            params.push(product.sku, product.id, uploadId, changeType, product.isbn, product.title,
+                product.publisher, product.price, product.currency, JSON.stringify(changes));
+        });
+        await client.query(
+            `INSERT INTO booksonix_versions
+             (sku, booksonix_id, upload_id, change_type, isbn, title, publisher, price, currency, changes)
+             VALUES ${valuesPlaceholders(batch.length, 10)}`,
+            params
+        );
+    }
+}
+
+// Insert the 'new' rows of a Booksonix batch and overwrite the SKUs of its
+// 'updated' rows in one transaction. Only newly inserted SKUs are tagged
+// with the upload id. Every SKU added or changed gets a version. For a full
+// catalogue export the catalogue SKUs missing from the file are kept on the
+// upload log; a partial feed, or one with no valid rows, leaves
+// missing_skus NULL.
+async function commitBooksonixRows(rows, filename, userId, headers, fullCatalogue = false) {
+    const recordsWithStatus = status => rows.filter(row => row.status === status).map(row => row.record);
+
+    return withTransaction(async (client) => {
+        const uploadId = await createUploadLog(client, filename, 'booksonix', userId);
+        let newRecords = 0;
+        let updated = 0;
+        const versions = [];
+
+        for (const [status, overwrite] of [['new', false], ['updated', true]]) {
+            for (const batch of chunk(recordsWithStatus(status), IMPORT_BATCH_SIZE)) {
+                const params = [];
+                batch.forEach(record => {
+                    params.push(record.sku, record.isbn, record.isbn13, record.title, record.publisher, record.price, record.currency, uploadId);
+                });
+
+                // Current values, to see what the upsert changes
+                const current = await client.query(
+                    'SELECT * FROM booksonix_records WHERE sku = ANY($1::text[]) FOR UPDATE',
+                    [batch.map(record => record.sku)]
+                );
+                const before = new Map(current.rows.map(row => [row.sku, row]));
+
+                // Insert, updating an existing SKU only for 'updated' rows so a
+                // SKU added since the preview is not overwritten
+                const onConflict = overwrite
+                    ? `DO UPDATE SET 
+                        isbn = COALESCE(NULLIF(EXCLUDED.isbn, ''), booksonix_records.isbn),
+                        isbn13 = COALESCE(EXCLUDED.isbn13, booksonix_records.isbn13),
+                        title = EXCLUDED.title,
+                        publisher = EXCLUDED.publisher,
+                        price = EXCLUDED.price,
+                        currency = EXCLUDED.currency,
+                        last_updated = CURRENT_TIMESTAMP`
+                    : 'DO NOTHING';
+                const result = await client.query(
+                    `INSERT INTO booksonix_records 
+                    (sku, isbn, isbn13, title, publisher, price, currency, upload_id) 
+                    VALUES ${valuesPlaceholders(batch.length, 8)}
+                    ON CONFLICT (sku) ${onConflict}
+                    RETURNING id, sku, isbn, title, publisher, price, currency, (xmax = 0) AS inserted`,
+                    params
+                );
+
+                result.rows.forEach(row => {
+                    if (row.inserted) {
+                        newRecords++;
+                        versions.push({ product: row, changeType: 'added', changes: {} });
+                    } else {
+                        updated++;
+                        const changes = diffBooksonixVersions(before.get(row.sku), row);
+                        if (Object.keys(changes).length > 0) {
+                            versions.push({ product: row, changeType: 'changed', changes });
+                        }
+                    }
+                });
+            }
+        }
+        await insertBooksonixVersions(client, versions, uploadId);
+
+        const feedSkus = [...new Set(rows.filter(row => row.status !== 'rejected').map(row => row.record.sku))];
+        let missingSkus = null;
+        if (fullCatalogue && feedSkus.length > 0) {
+            const missing = await client.query(
+                'SELECT sku FROM booksonix_records WHERE NOT (sku = ANY($1::text[])) ORDER BY sku',
+                [feedSkus]
+            );
+            missingSkus = missing.rows.map(row => row.sku);
+        }
+
+        await client.query(
+            'UPDATE upload_log SET records_count = $1, missing_skus = $2 WHERE id = $3',
+            [newRecords + updated, missingSkus, uploadId]
+        );
+        const rejected = await saveImportRejects(client, uploadId, rows, headers);
+        const linked = await linkSalesToCatalogue(client);
+        const diff = {
+            added: versions.filter(version => version.changeType === 'added').length,
+            changed: versions.filter(version => version.changeType === 'changed').length,
+            missing: missingSkus ? missingSkus.length : null
+        };
+        await recordAudit(client, userId, 'import', 'upload', uploadId, null, {
+            filename, import_type: 'booksonix', new_records: newRecords, updated, rejected, missing: diff.missing
+        });
+        return { uploadId, newRecords, updated, rejected, linked, diff };
+    });
+}
+
+// Ways a sales line can match a catalogue product, tried in order: the same
+// normalised ISBN, an EAN column holding the Booksonix SKU (Shopify
+// "Lineitem sku"), then links staff made from the unmatched lines view.
+const CATALOGUE_MATCH_JOINS = [
+    'JOIN booksonix_records b ON b.isbn13 = r.isbn13',
+    `JOIN booksonix_records b ON UPPER(b.sku) = UPPER(TRIM(r.book_ean)) AND TRIM(r.book_ean) <> ''`,
+    `JOIN catalogue_links l ON l.book_ean = COALESCE(r.book_ean, '') AND l.title = COALESCE(r.title, '')
+     JOIN booksonix_records b ON b.id = l.booksonix_id`
+];
+
+// Link sales records without a catalogue product to one, optionally only
+// the records of one upload. Returns the number of records linked.
+async function linkSalesToCatalogue(client, uploadId = null) {
+    const scope = uploadId ? 'AND r.upload_id = $1' : '';
+    const params = uploadId ? [uploadId] : [];
+    let linked = 0;
+
+    for (const join of CATALOGUE_MATCH_JOINS) {
+        const result = await client.query(
+            `UPDATE records SET booksonix_id = m.booksonix_id
+             FROM (
+                 SELECT r.id, MIN(b.id) AS booksonix_id
+                 FROM records r
+                 ${join}
+                 WHERE r.booksonix_id IS NULL ${scope}
+                 GROUP BY r.id
+             ) m
+             WHERE records.id = m.id`,
+            params
+        );
+        linked += result.rowCount;
+    }
+    return linked;
+}
+
+// Persist the rejected rows of an upload with their original values, and
+// remember the file's column order for the downloadable report
+async function saveImportRejects(client, uploadId, rows, headers) {
+    const rejects = rows.filter(row => row.status === 'rejected');
+
+    for (const batch of chunk(rejects, IMPORT_BATCH_SIZE)) {
+        const params = [];
+        batch.forEach(row => {
+            params.push(uploadId, row.row_number, JSON.stringify(row.raw || {}), row.reason);
+        });
+        await client.query(
+            `INSERT INTO import_rejects (upload_id, row_number, raw_values, reason)
+             VALUES ${valuesPlaceholders(batch.length, 4)}`,
+            params
+        );
+    }
+
+    await client.query(
+        'UPDATE upload_log SET rejected_count = $1, source_headers = $2 WHERE id = $3',
+        [rejects.length, JSON.stringify(headers || []), uploadId]
+    );
+    return rejects.length;
+}
+
+// Store a dry-run batch so it can be committed exactly as previewed
+async function saveImportPreview(importType, filename, rows, userId, headers) {
+    const id = crypto.randomBytes(16).toString('hex');
+
+    // Opportunistically drop expired previews
+    await pool.query(
+        'DELETE FROM import_previews WHERE created_at < $1',
+        [new Date(Date.now() - IMPORT_PREVIEW_TTL_MS)]
+    );
+
+    await pool.query(
+        'INSERT INTO import_previews (id, import_type, filename, rows, headers, created_by) VALUES ($1, $2, $3, $4, $5, $6)',
+        [id, importType, filename, JSON.stringify(rows), JSON.stringify(headers), userId]
+    );
+    return id;
+}
+
+// Claim a preview for commit. Previews are single-use and can only be
+// confirmed by the user who created them.
+async function takeImportPreview(id, importType, userId) {
+    const result = await pool.query(
+        `DELETE FROM import_previews
+         WHERE id = $1 AND import_type = $2 AND created_by = $3 AND created_at >= $4
+         RETURNING filename, rows, headers`,
+        [id, importType, userId, new Date(Date.now() - IMPORT_PREVIEW_TTL_MS)]
+    );
+    return result.rows[0] || null;
+}
+
+// =============================================
+// REPORTS
+// =============================================
+
+// Exclusion rules for a report: the customers flagged as excluded on the
+// Customers page (unless turned off), plus extra customers and countries
+function normalizeReportExclusions(value) {
+    const exclusions = value || {};
+    const list = items => (Array.isArray(items) ? items : String(items || '').split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+
+    return {
+        useCustomerExclusions: exclusions.useCustomerExclusions !== false,
+        customers: list(exclusions.customers),
+        countries: list(exclusions.countries)
+    };
+}
+
+// Run the stockist report: customers who bought the selected titles (or all
+// of a publisher's titles) in a date range, minus the excluded customers and
+// countries. Throws an error with status 400 for invalid parameters.
+async function runStockistReport(parameters) {
+    const { startDate, endDate } = parameters;
+    const publisher = (parameters.publisher || '').trim();
+    const allTitles = parameters.allTitles === true;
+    const titles = parameters.titles || [];
+    const products = (parameters.products || []).map(code => String(code).trim()).filter(Boolean);
+    const exclusions = normalizeReportExclusions(parameters.exclusions);
+    const currency = parseReportingCurrency(parameters.currency);
+    
+    console.log('Generate report request:', { publisher, startDate, endDate, allTitles, titlesCount: titles.length, productsCount: products.length });
+    
+    if (!publisher || !startDate || !endDate || (!allTitles && titles.length === 0 && products.length === 0)) {
+        throw httpError(400, 'Missing required parameters');
+    }
+
+    // Reports are scoped to the publisher's products in the Booksonix catalogue
+    const publisherCheck = await pool.query(
+        'SELECT 1 FROM booksonix_records WHERE UPPER(TRIM(publisher)) = UPPER($1) LIMIT 1',
+        [publisher]
+    );
+    if (publisherCheck.rows.length === 0) {
+        throw httpError(400, `Unknown publisher "${publisher}". Choose a publisher from the Booksonix catalogue.`);
+    }
+    
+    // Sales lines match a selected title, or a catalogue product by SKU or
+    // ISBN, unless the report covers all of the publisher's titles
+    const params = [startDate, endDate, publisher, currency];
+    const productFilters = [];
+    if (titles.length > 0) {
+        params.push(titles);
+        productFilters.push(`r.title = ANY($${params.length}::text[])`);
+    }
+    if (products.length > 0) {
+        params.push(products.map(code => code.toUpperCase()));
+        productFilters.push(`UPPER(b.sku) = ANY($${params.length}::text[])`);
+
+        const isbns = products.map(normalizeIsbn).filter(Boolean);
+        if (isbns.length > 0) {
+            params.push(isbns);
+            productFilters.push(`r.isbn13 = ANY($${params.length}::text[])`, `b.isbn13 = ANY($${params.length}::text[])`);
+        }
+    }
+
+    const exclusionFilters = [];
+    if (exclusions.useCustomerExclusions) {
+        exclusionFilters.push('COALESCE(ce.excluded, false) = false');
+    }
+    if (exclusions.customers.length > 0) {
+        params.push(exclusions.customers.map(name => cleanCustomerName(name).toUpperCase()));
+        exclusionFilters.push(`UPPER(c.name) <> ALL($${params.length}::text[])`);
+    }
+    if (exclusions.countries.length > 0) {
+        exclusionFilters.push(`NOT ${countryMatchSql('c.country_code', exclusions.countries, params)}`);
+    }
+
+    const from = `
+        FROM records r
+        LEFT JOIN LATERAL (SELECT ${convertedTotalSql('$4::text')} AS amount) fx ON true
+        JOIN customers c ON c.id = r.customer_id
+        LEFT JOIN booksonix_records b ON b.id = r.booksonix_id
+        LEFT JOIN customer_exclusions ce ON c.name = ce.customer_name
+        WHERE r.order_date >= $1 
+        AND r.order_date <= $2
+        ${exclusionFilters.map(filter => `AND ${filter}`).join('\n        ')}
+    `;
+
+    // Locations come from the customer record, not the sales rows. Revenue is
+    // converted to the reporting currency at each order date's rate; lines
+    // with no rate are counted rather than added. Returns in the period are
+    // netted off; customers with only returns are left out. Lines not linked
+    // to the catalogue can still match a selected title or ISBN, but have no
+    // publisher to check, so they are counted too.
+    const query = `
+        SELECT 
+            c.name as customer_name,
+            COALESCE(c.country_code, 'Unknown') as country,
+            COALESCE(c.city, 'Unknown') as city,
+            COUNT(*) FILTER (WHERE r.transaction_type = 'sale') as total_orders,
+            SUM(r.quantity) as total_quantity,
+            COALESCE(-SUM(r.quantity) FILTER (WHERE r.transaction_type = 'return'), 0) as returned_quantity,
+            ROUND(SUM(fx.amount), 2) as total_revenue,
+            COUNT(*) FILTER (WHERE fx.amount IS NULL AND r.total <> 0) as unconverted_lines,
+            COUNT(*) FILTER (WHERE b.id IS NULL) as unlinked_lines,
+            MAX(r.order_date) FILTER (WHERE r.transaction_type = 'sale') as last_order
+        ${from}
+        ${allTitles
+            ? 'AND UPPER(TRIM(b.publisher)) = UPPER($3)'
+            : `AND (b.id IS NULL OR UPPER(TRIM(b.publisher)) = UPPER($3)) AND (${productFilters.join(' OR ')})`}
+        GROUP BY c.id, c.name, c.country_code, c.city
+        HAVING COUNT(*) FILTER (WHERE r.transaction_type = 'sale') > 0
+        ORDER BY total_revenue DESC NULLS LAST
+    `;
+    
+    console.log('Executing query with params:', { startDate, endDate, titlesCount: titles.length, productsCount: products.length });
+    
+    const result = await pool.query(query, params);
+
+    // An all-titles report can't attribute unlinked lines to the publisher,
+    // so the ones it leaves out are counted separately
+    let unlinked = result.rows.reduce((sum, row) => sum + (parseInt(row.unlinked_lines) || 0), 0);
+    if (allTitles) {
+        const unlinkedResult = await pool.query(`
+            SELECT COUNT(*) FILTER (WHERE b.id IS NULL) AS count
+            ${from}
+            AND (b.id IS NULL OR UPPER(TRIM(b.publisher)) = UPPER($3))
+        `, params);
+        unlinked = parseInt(unlinkedResult.rows[0].count) || 0;
+    }
+    
+    console.log(`Report generated: ${result.rows.length} customers found`);
+    
+    return {
+        data: result.rows,
+        totalCustomers: result.rows.length,
+        publisher: publisher,
+        startDate: startDate,
+        endDate: endDate,
+        allTitles: allTitles,
+        titles: titles,
+        products: products,
+        exclusions: exclusions,
+        currency: currency,
+        unconverted: result.rows.reduce((sum, row) => sum + (parseInt(row.unconverted_lines) || 0), 0),
+        unlinked: unlinked
+    };
+}
+
+// ISO 3166-1 alpha-2 country codes and their names (plus Kosovo's XK),
+// shared with the reports page
+const ISO_COUNTRIES = {
+    'AD': 'Andorra',
+    'AE': 'United Arab Emirates',
+    'AF': 'Afghanistan',
+    'AG': 'Antigua and Barbuda',
+    'AI': 'Anguilla',
+    'AL': 'Albania',
+    'AM': 'Armenia',
+    'AO': 'Angola',
+    'AQ': 'Antarctica',
+    'AR': 'Argentina',
+    'AS': 'American Samoa',
+    'AT': 'Austria',
+    'AU': 'Australia',
+    'AW': 'Aruba',
+    'AX': 'Åland Islands',
+    'AZ': 'Azerbaijan',
+    'BA': 'Bosnia and Herzegovina',
+    'BB': 'Barbados',
+    'BD': 'Bangladesh',
+    'BE': 'Belgium',
+    'BF': 'Burkina Faso',
+    'BG': 'Bulgaria',
+    'BH': 'Bahrain',
+    'BI': 'Burundi',
+    'BJ': 'Benin',
+    'BL': 'Saint Barthélemy',
+    'BM': 'Bermuda',
+    'BN': 'Brunei',
+    'BO': 'Bolivia',
+    'BQ': 'Bonaire, Sint Eustatius and Saba',
+    'BR': 'Brazil',
+    'BS': 'Bahamas',
+    'BT': 'Bhutan',
+    'BV': 'Bouvet Island',
+    'BW': 'Botswana',
+    'BY': 'Belarus',
+    'BZ': 'Belize',
+    'CA': 'Canada',
+    'CC': 'Cocos (Keeling) Islands',
+    'CD': 'Democratic Republic of the Congo',
+    'CF': 'Central African Republic',
+    'CG': 'Republic of the Congo',
+    'CH': 'Switzerland',
+    'CI': 'Ivory Coast',
+    'CK': 'Cook Islands',
+    'CL': 'Chile',
+    'CM': 'Cameroon',
+    'CN': 'China',
+    'CO': 'Colombia',
+    'CR': 'Costa Rica',
+    'CU': 'Cuba',
+    'CV': 'Cape Verde',
+    'CW': 'Curaçao',
+    'CX': 'Christmas Island',
+    'CY': 'Cyprus',
+    'CZ': 'Czech Republic',
+    'DE': 'Germany',
+    'DJ': 'Djibouti',
+    'DK': 'Denmark',
+    'DM': 'Dominica',
+    'DO': 'Dominican Republic',
+    'DZ': 'Algeria',
+    'EC': 'Ecuador',
+    'EE': 'Estonia',
+    'EG': 'Egypt',
+    'EH': 'Western Sahara',
+    'ER': 'Eritrea',
+    'ES': 'Spain',
+    'ET': 'Ethiopia',
+    'FI': 'Finland',
+    'FJ': 'Fiji',
+    'FK': 'Falkland Islands',
+    'FM': 'Micronesia',
+    'FO': 'Faroe Islands',
+    'FR': 'France',
+    'GA': 'Gabon',
+    'GB': 'United Kingdom',
+    'GD': 'Grenada',
+    'GE': 'Georgia',
+    'GF': 'French Guiana',
+    'GG': 'Guernsey',
+    'GH': 'Ghana',
+    'GI': 'Gibraltar',
+    'GL': 'Greenland',
+    'GM': 'Gambia',
+    'GN': 'Guinea',
+    'GP': 'Guadeloupe',
+    'GQ': 'Equatorial Guinea',
+    'GR': 'Greece',
+    'GS': 'South Georgia and the South Sandwich Islands',
+    'GT': 'Guatemala',
+    'GU': 'Guam',
+    'GW': 'Guinea-Bissau',
+    'GY': 'Guyana',
+    'HK': 'Hong Kong',
+    'HM': 'Heard Island and McDonald Islands',
+    'HN': 'Honduras',
+    'HR': 'Croatia',
+    'HT': 'Haiti',
+    'HU': 'Hungary',
+    'ID': 'Indonesia',
+    'IE': 'Ireland',
+    'IL': 'Israel',
+    'IM': 'Isle of Man',
+    'IN': 'India',
+    'IO': 'British Indian Ocean Territory',
+    'IQ': 'Iraq',
+    'IR': 'Iran',
+    'IS': 'Iceland',
+    'IT': 'Italy',
+    'JE': 'Jersey',
+    'JM': 'Jamaica',
+    'JO': 'Jordan',
+    'JP': 'Japan',
+    'KE': 'Kenya',
+    'KG': 'Kyrgyzstan',
+    'KH': 'Cambodia',
+    'KI': 'Kiribati',
+    'KM': 'Comoros',
+    'KN': 'Saint Kitts and Nevis',
+    'KP': 'North Korea',
+    'KR': 'South Korea',
+    'KW': 'Kuwait',
+    'KY': 'Cayman Islands',
+    'KZ': 'Kazakhstan',
+    'LA': 'Laos',
+    'LB': 'Lebanon',
+    'LC': 'Saint Lucia',
+    'LI': 'Liechtenstein',
+    'LK': 'Sri Lanka',
+    'LR': 'Liberia',
+    'LS': 'Lesotho',
+    'LT': 'Lithuania',
+    'LU': 'Luxembourg',
+    'LV': 'Latvia',
+    'LY': 'Libya',
+    'MA': 'Morocco',
+    'MC': 'Monaco',
+    'MD': 'Moldova',
+    'ME': 'Montenegro',
+    'MF': 'Saint Martin',
+    'MG': 'Madagascar',
+    'MH': 'Marshall Islands',
+    'MK': 'North Macedonia',
+    'ML': 'Mali',
+    'MM': 'Myanmar',
+    'MN': 'Mongolia',
+    'MO': 'Macau',
+    'MP': 'Northern Mariana Islands',
+    'MQ': 'Martinique',
+    'MR': 'Mauritania',
+    'MS': 'Montserrat',
+    'MT': 'Malta',
+    'MU': 'Mauritius',
+    'MV': 'Maldives',
+    'MW': 'Malawi',
+    'MX': 'Mexico',
+    'MY': 'Malaysia',
+    'MZ': 'Mozambique',
+    'NA': 'Namibia',
+    'NC': 'New Caledonia',
+    'NE': 'Niger',
+    'NF': 'Norfolk Island',
+    'NG': 'Nigeria',
+    'NI': 'Nicaragua',
+    'NL': 'Netherlands',
+    'NO': 'Norway',
+    'NP': 'Nepal',
+    'NR': 'Nauru',
+    'NU': 'Niue',
+    'NZ': 'New Zealand',
+    'OM': 'Oman',
+    'PA': 'Panama',
+    'PE': 'Peru',
+    'PF': 'French Polynesia',
+    'PG': 'Papua New Guinea',
+    'PH': 'Philippines',
+    'PK': 'Pakistan',
+    'PL': 'Poland',
+    'PM': 'Saint Pierre and Miquelon',
+    'PN': 'Pitcairn Islands',
+    'PR': 'Puerto Rico',
+    'PS': 'Palestine',
+    'PT': 'Portugal',
+    'PW': 'Palau',
+    'PY': 'Paraguay',
+    'QA': 'Qatar',
+    'RE': 'Réunion',
+    'RO': 'Romania',
+    'RS': 'Serbia',
+    'RU': 'Russia',
+    'RW': 'Rwanda',
+    'SA': 'Saudi Arabia',
+    'SB': 'Solomon Islands',
+    'SC': 'Seychelles',
+    'SD': 'Sudan',
+    'SE': 'Sweden',
+    'SG': 'Singapore',
+    'SH': 'Saint Helena',
+    'SI': 'Slovenia',
+    'SJ': 'Svalbard and Jan Mayen',
+    'SK': 'Slovakia',
+    'SL': 'Sierra Leone',
+    'SM': 'San Marino',
+    'SN': 'Senegal',
+    'SO': 'Somalia',
+    'SR': 'Suriname',
+    'SS': 'South Sudan',
+    'ST': 'Sao Tome and Principe',
+    'SV': 'El Salvador',
+    'SX': 'Sint Maarten',
+    'SY': 'Syria',
+    'SZ': 'Eswatini',
+    'TC': 'Turks and Caicos Islands',
+    'TD': 'Chad',
+    'TF': 'French Southern Territories',
+    'TG': 'Togo',
+    'TH': 'Thailand',
+    'TJ': 'Tajikistan',
+    'TK': 'Tokelau',
+    'TL': 'Timor-Leste',
+    'TM': 'Turkmenistan',
+    'TN': 'Tunisia',
+    'TO': 'Tonga',
+    'TR': 'Turkey',
+    'TT': 'Trinidad and Tobago',
+    'TV': 'Tuvalu',
+    'TW': 'Taiwan',
+    'TZ': 'Tanzania',
+    'UA': 'Ukraine',
+    'UG': 'Uganda',
+    'UM': 'United States Minor Outlying Islands',
+    'US': 'United States',
+    'UY': 'Uruguay',
+    'UZ': 'Uzbekistan',
+    'VA': 'Vatican City',
+    'VC': 'Saint Vincent and the Grenadines',
+    'VE': 'Venezuela',
+    'VG': 'British Virgin Islands',
+    'VI': 'United States Virgin Islands',
+    'VN': 'Vietnam',
+    'VU': 'Vanuatu',
+    'WF': 'Wallis and Futuna',
+    'WS': 'Samoa',
+    'XK': 'Kosovo',
+    'YE': 'Yemen',
+    'YT': 'Mayotte',
+    'ZA': 'South Africa',
+    'ZM': 'Zambia',
+    'ZW': 'Zimbabwe'
+};
+
+// Other codes and spellings found in sales files: UK, sporting and
+// three-letter codes, and alternative country names
+const COUNTRY_CODE_ALIASES = {
+    'UK': 'GB',
+    'ENG': 'GB',
+    'SCO': 'GB',
+    'WAL': 'GB',
+    'NIR': 'GB',
+    'GREAT BRITAIN': 'GB',
+    'ENGLAND': 'GB',
+    'SCOTLAND': 'GB',
+    'WALES': 'GB',
+    'NORTHERN IRELAND': 'GB',
+    'USA': 'US',
+    'UNITED STATES OF AMERICA': 'US',
+    'HOLLAND': 'NL',
+    'THE NETHERLANDS': 'NL',
+    'CZECHIA': 'CZ',
+    'TURKIYE': 'TR',
+    'TÜRKIYE': 'TR',
+    "COTE D'IVOIRE": 'CI',
+    "CÔTE D'IVOIRE": 'CI',
+    'CABO VERDE': 'CV',
+    'BURMA': 'MM',
+    'SWAZILAND': 'SZ',
+    'MACEDONIA': 'MK',
+    'RUSSIAN FEDERATION': 'RU',
+    'REPUBLIC OF KOREA': 'KR',
+    'HOLY SEE': 'VA',
+    'MACAO': 'MO',
+    'UAE': 'AE',
+    'ROK': 'KR',
+    'DPRK': 'KP',
+    'RSA': 'ZA',
+    'NED': 'NL',
+    'GER': 'DE',
+    'SUI': 'CH',
+    'AUT': 'AT',
+    'BEL': 'BE',
+    'ESP': 'ES',
+    'POR': 'PT',
+    'ITA': 'IT',
+    'FRA': 'FR',
+    'IRE': 'IE',
+    'DEN': 'DK',
+    'SWE': 'SE',
+    'NOR': 'NO',
+    'FIN': 'FI',
+    'POL': 'PL',
+    'CZE': 'CZ',
+    'SVK': 'SK',
+    'HUN': 'HU',
+    'ROM': 'RO',
+    'BUL': 'BG',
+    'GRE': 'GR',
+    'CRO': 'HR',
+    'SRB': 'RS',
+    'BIH': 'BA',
+    'MKD': 'MK',
+    'ALB': 'AL',
+    'LTU': 'LT',
+    'LAT': 'LV',
+    'EST': 'EE',
+    'BLR': 'BY',
+    'UKR': 'UA',
+    'RUS': 'RU',
+    'GEO': 'GE',
+    'ARM': 'AM',
+    'AZE': 'AZ',
+    'TUR': 'TR',
+    'CYP': 'CY',
+    'ISR': 'IL',
+    'PAL': 'PS',
+    'JPN': 'JP',
+    'CHN': 'CN',
+    'IND': 'IN',
+    'PAK': 'PK',
+    'BAN': 'BD',
+    'SRI': 'LK',
+    'THA': 'TH',
+    'VIE': 'VN',
+    'MAL': 'MY',
+    'SIN': 'SG',
+    'INA': 'ID',
+    'PHI': 'PH',
+    'AUS': 'AU',
+    'NZL': 'NZ',
+    'ARG': 'AR',
+    'BRA': 'BR',
+    'CHI': 'CL',
+    'COL': 'CO',
+    'MEX': 'MX',
+    'PER': 'PE',
+    'URU': 'UY',
+    'VEN': 'VE',
+    'CAN': 'CA',
+    'CRC': 'CR',
+    'PAN': 'PA',
+    'CUB': 'CU',
+    'JAM': 'JM',
+    'HAI': 'HT',
+    'DOM': 'DO',
+    'EGY': 'EG',
+    'NIG': 'NG',
+    'KEN': 'KE',
+    'ETH': 'ET',
+    'GHA': 'GH',
+    'SEN': 'SN',
+    'MAR': 'MA',
+    'ALG': 'DZ',
+    'TUN': 'TN'
+};
+
+// Upper-case codes, names and aliases to ISO codes
+const COUNTRY_CODES_BY_KEY = new Map([
+    ...Object.keys(ISO_COUNTRIES).map(code => [code, code]),
+    ...Object.entries(ISO_COUNTRIES).map(([code, name]) => [name.toUpperCase(), code]),
+    ...Object.entries(COUNTRY_CODE_ALIASES)
+]);
+
+// Normalise a country code or name to ISO 3166-1 alpha-2; null if unknown
+function normalizeCountryCode(value) {
+    return COUNTRY_CODES_BY_KEY.get(String(value || '').trim().toUpperCase()) || null;
+}
+
+function expandCountryName(countryCode) {
+    if (!countryCode || countryCode.trim().toUpperCase() === 'UNKNOWN') return 'Unknown';
+    const code = normalizeCountryCode(countryCode);
+    return code ? ISO_COUNTRIES[code] : countryCode;
+}
+
+// SQL condition matching an ISO country code column against country codes
+// or names; "Unknown" matches customers without a country
+function countryMatchSql(column, countries, params) {
+    const conditions = [];
+    const codes = countries.map(normalizeCountryCode).filter(Boolean);
+    if (codes.length > 0) {
+        params.push(codes);
+        conditions.push(`${column} = ANY($${params.length}::text[])`);
+    }
+    if (countries.some(country => country.trim().toUpperCase() === 'UNKNOWN')) {
+        conditions.push(`${column} IS NULL`);
+    }
+    return conditions.length > 0 ? `(${conditions.join(' OR ')})` : 'false';
+}
+
+// Group report rows by country the same way the reports page does: countries
+// by customer count (descending), customers by city then name.
+function groupReportByCountry(rows) {
+    const groups = new Map();
+    rows.forEach(row => {
+        const country = expandCountryName(row.country);
+        if (!groups.has(country)) {
+            groups.set(country, []);
+        }
+        groups.get(country).push({ ...row, country });
+    });
+
+    return Array.from(groups, ([country, customers]) => ({
+        country,
+        customers: customers.sort((a, b) => {
+            const cityCompare = (a.city || '').localeCompare(b.city || '');
+            if (cityCompare !== 0) return cityCompare;
+            return (a.customer_name || '').localeCompare(b.customer_name || '');
+        })
+    })).sort((a, b) => b.customers.length - a.customers.length);
+}
+
+const REPORT_EXPORT_FORMATS = {
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    pdf: { contentType: 'application/pdf' },
+    csv: { contentType: 'text/csv; charset=utf-8' },
+    json: { contentType: 'application/json' }
+};
+
+function reportExportFilename(report, format) {
+    const publisher = String(report.publisher).replace(/[^A-Za-z0-9 _-]+/g, '').trim() || 'Report';
+    return `${publisher}_Stockists.${format}`;
+}
+
+function formatReportDate(value) {
+    if (!value) return '';
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date) ? String(value) : date.toISOString().split('T')[0];
+}
+
+function reportTitleSummary(report) {
+    if (report.allTitles) return 'All titles';
+    return [...report.titles, ...report.products].join(', ');
+}
+
+// Excel sheet names: max 31 characters, no []:*?/\ and unique per workbook
+function uniqueSheetName(name, used) {
+    const base = (String(name).replace(/[\[\]:*?\/\\]/g, ' ').trim() || 'Sheet').substring(0, 31);
+    let sheetName = base;
+    for (let i = 2; used.has(sheetName.toLowerCase()); i++) {
+        const suffix = ` (${i})`;
+        sheetName = base.substring(0, 31 - suffix.length) + suffix;
+    }
+    used.add(sheetName.toLowerCase());
+    return sheetName;
+}
+
+// Sales lines not linked to the Booksonix catalogue have no publisher: an
+// all-titles report leaves them out, a title report includes the ones that
+// match without checking their publisher
+function unlinkedLinesWarning(report) {
+    return report.allTitles
+        ? `${report.unlinked} sales lines in this period are not linked to the Booksonix catalogue and are left out`
+        : `${report.unlinked} matching sales lines are not linked to the Booksonix catalogue, so their publisher was not checked`;
+}
+
+function buildReportWorkbook(report) {
+    const groups = groupReportByCountry(report.data);
+    const workbook = xlsx.utils.book_new();
+    const used = new Set();
+
+    const summary = [
+        ['Publisher', report.publisher],
+        ['Date Range', `${report.startDate} to ${report.endDate}`],
+        ['Titles', reportTitleSummary(report)],
+        ['Total Customers', report.totalCustomers],
+        ['Generated', new Date().toISOString()],
+        ...(report.unconverted > 0
+            ? [['Warning', `${report.unconverted} sales lines have no exchange rate to ${report.currency} and are left out of revenue`]]
+            : []),
+        ...(report.unlinked > 0
+            ? [['Warning', unlinkedLinesWarning(report)]]
+            : []),
+        [],
+        ['Country', 'Customers', 'Orders', 'Net Quantity', 'Returned', `Revenue (${report.currency})`]
+    ];
+    groups.forEach(group => {
+        summary.push([
+            group.country,
+            group.customers.length,
+            group.customers.reduce((sum, c) => sum + (parseInt(c.total_orders) || 0), 0),
+            group.customers.reduce((sum, c) => sum + (parseInt(c.total_quantity) || 0), 0),
+            group.customers.reduce((sum, c) => sum + (parseInt(c.returned_quantity) || 0), 0),
+            group.customers.reduce((sum, c) => sum + (parseFloat(c.total_revenue) || 0), 0)
+        ]);
+    });
+    xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet(summary), uniqueSheetName('Summary', used));
+
+    groups.forEach(group => {
+        const sheet = [['Retailer Name', 'City', 'Orders', 'Net Quantity', 'Returned', `Revenue (${report.currency})`, 'Unconverted Lines', 'Last Order']];
+        group.customers.forEach(c => {
+            sheet.push([
+                c.customer_name,
+                c.city || '',
+                parseInt(c.total_orders) || 0,
+                parseInt(c.total_quantity) || 0,
+                parseInt(c.returned_quantity) || 0,
+                parseFloat(c.total_revenue) || 0,
+                parseInt(c.unconverted_lines) || 0,
+                formatReportDate(c.last_order)
+            ]);
+        });
+        xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet(sheet), uniqueSheetName(group.country, used));
+    });
+
+    return xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+// Stockist list for publishers: customer names under country and city headings
+function buildReportPdf(report) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50 });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        doc.font('Helvetica-Bold').fontSize(18).text(`${report.publisher} Stockists`);
+        doc.font('Helvetica').fontSize(10).fillColor('#555555')
+            .text(`${report.startDate} to ${report.endDate}`)
+            .text(reportTitleSummary(report))
+            .text(`${report.totalCustomers} stockists - generated ${formatReportDate(new Date())}`);
+        doc.fillColor('#000000');
+
+        groupReportByCountry(report.data).forEach(group => {
+            doc.moveDown();
+            doc.font('Helvetica-Bold').fontSize(14).text(`${group.country} (${group.customers.length})`);
+
+            let currentCity = null;
+            group.customers.forEach(c => {
+                const city = c.city || 'Unknown City';
+                if (city !== currentCity) {
+                    currentCity = city;
+                    doc.moveDown(0.3);
+                    doc.font('Helvetica-Bold').fontSize(11).text(city);
+                }
+                doc.font('Helvetica').fontSize(10).text(`- ${c.customer_name}`, { indent: 12 });
+            });
+        });
+
+        doc.end();
+    });
+}
+
+function buildReportCsv(report) {
+    const quote = value => `"${String(value == null ? '' : value).replace(/"/g, '""')}"`;
+    const lines = [['Publisher', 'Retailer Name', 'City', 'Country'].join(',')];
+    groupReportByCountry(report.data).forEach(group => {
+        group.customers.forEach(c => {
+            lines.push([report.publisher, c.customer_name, c.city || '', group.country].map(quote).join(','));
+        });
+    });
+    // BOM so Excel opens the file as UTF-8
+    return Buffer.from('\uFEFF' + lines.join('\n') + '\n', 'utf8');
+}
+
+function buildReportJson(report) {
+    return Buffer.from(JSON.stringify({
+        parameters: {
+            publisher: report.publisher,
+            startDate: report.startDate,
+            endDate: report.endDate,
+            allTitles: report.allTitles,
+            titles: report.titles,
+            products: report.products,
+            exclusions: report.exclusions
+        },
+        generatedAt: new Date().toISOString(),
+        totalCustomers: report.totalCustomers,
+        currency: report.currency,
+        unconverted: report.unconverted,
+        unlinked: report.unlinked,
+        data: report.data
+    }, null, 2));
+}
+
+async function renderReportExport(report, format) {
+    switch (format) {
+        case 'xlsx': return buildReportWorkbook(report);
+        case 'pdf': return buildReportPdf(report);
+        case 'csv': return buildReportCsv(report);
+        case 'json': return buildReportJson(report);
+        default: throw httpError(400, 'Invalid export format');
+    }
+}
+
+// =============================================
+// SAVED REPORT DEFINITIONS
+// =============================================
+
+// Rendered exports of saved reports are kept here, one file per run. Point
+// REPORT_EXPORT_DIR at a persistent volume where local disk is reset on deploy.
+const REPORT_EXPORT_DIR = process.env.REPORT_EXPORT_DIR || 'report-exports';
+
+// Relative date ranges a saved report can use; resolved when it runs
+const REPORT_DATE_RANGES = {
+    custom: 'Custom dates',
+    last_30_days: 'Last 30 days',
+    last_90_days: 'Last 90 days',
+    last_12_months: 'Last 12 months',
+    this_month: 'This month',
+    last_month: 'Last month',
+    this_quarter: 'This quarter',
+    last_quarter: 'Last quarter',
+    this_year: 'This year',
+    last_year: 'Last year'
+};
+
+const REPORT_DEFINITION_SELECT = `
+    SELECT d.id, d.name, d.owner_id, u.username AS owner, d.publisher, d.all_titles,
+           d.titles, d.products, d.date_range,
+           TO_CHAR(d.start_date, 'YYYY-MM-DD') AS start_date,
+           TO_CHAR(d.end_date, 'YYYY-MM-DD') AS end_date,
+           d.exclusions, d.currency, d.export_format, d.schedule, d.schedule_enabled,
+           d.created_at, d.updated_at,
+           lr.created_at AS last_run_at, lr.status AS last_run_status
+    FROM report_definitions d
+    LEFT JOIN users u ON u.id = d.owner_id
+    LEFT JOIN LATERAL (
+        SELECT created_at, status FROM report_runs
+        WHERE definition_id = d.id
+        ORDER BY created_at DESC, id DESC
+        LIMIT 1
+    ) lr ON true
+`;
+
+// Scheduled tasks by definition id
+const reportSchedules = new Map();
+
+// Start and end dates (YYYY-MM-DD) for a definition's date range. "This ..."
+// ranges run to today; "last ..." ranges are the previous full period.
+function resolveReportDateRange(definition, today = new Date()) {
+    const year = today.getUTCFullYear();
+    const month = today.getUTCMonth();
+    const date = today.getUTCDate();
+    const quarter = Math.floor(month / 3) * 3;
+    const day = (y, m, d) => new Date(Date.UTC(y, m, d)).toISOString().split('T')[0];
+    const todayString = day(year, month, date);
+
+    switch (definition.date_range) {
+        case 'last_30_days': return { startDate: day(year, month, date - 29), endDate: todayString };
+        case 'last_90_days': return { startDate: day(year, month, date - 89), endDate: todayString };
+        case 'last_12_months': return { startDate: day(year - 1, month, date + 1), endDate: todayString };
+        case 'this_month': return { startDate: day(year, month, 1), endDate: todayString };
+        case 'last_month': return { startDate: day(year, month - 1, 1), endDate: day(year, month, 0) };
+        case 'this_quarter': return { startDate: day(year, quarter, 1), endDate: todayString };
+        case 'last_quarter': return { startDate: day(year, quarter - 3, 1), endDate: day(year, quarter, 0) };
+        case 'this_year': return { startDate: day(year, 0, 1), endDate: todayString };
+        case 'last_year': return { startDate: day(year - 1, 0, 1), endDate: day(year - 1, 11, 31) };
+        default: return { startDate: definition.start_date, endDate: definition.end_date };
+    }
+}
+
+// The runStockistReport parameters for a saved definition
+function reportDefinitionParameters(definition, today) {
+    return {
+        publisher: definition.publisher,
+        ...resolveReportDateRange(definition, today),
+        allTitles: definition.all_titles,
+        titles: definition.titles || [],
+        products: definition.products || [],
+        exclusions: definition.exclusions,
+        currency: definition.currency
+    };
+}
+
+// Validate a report definition from a request body; returns { definition }
+// or { error }
+function validateReportDefinition(body) {
+    const name = (body.name || '').trim();
+    const publisher = (body.publisher || '').trim();
+    const dateRange = body.date_range || 'custom';
+    const exportFormat = body.export_format || 'xlsx';
+    const schedule = (body.schedule || '').trim() || null;
+    const scheduleEnabled = body.schedule_enabled === true || body.schedule_enabled === 'true';
+    const allTitles = body.all_titles === true || body.all_titles === 'true';
+    const list = items => (Array.isArray(items) ? items : []).map(item => String(item).trim()).filter(Boolean);
+    const titles = allTitles ? [] : list(body.titles);
+    const products = allTitles ? [] : list(body.products);
+    const currency = body.currency ? normalizeCurrency(body.currency) : BASE_CURRENCY;
+
+    if (!name) return { error: 'Report name is required' };
+    if (!publisher) return { error: 'Publisher is required' };
+    if (!allTitles && titles.length === 0 && products.length === 0) {
+        return { error: 'Select at least one title or product, or all titles' };
+    }
+    if (!REPORT_DATE_RANGES[dateRange]) return { error: 'Invalid date range' };
+    if (dateRange === 'custom' && (!body.start_date || !body.end_date)) {
+        return { error: 'Start and end dates are required for a custom date range' };
+    }
+    if (!REPORT_EXPORT_FORMATS[exportFormat]) return { error: 'Invalid export format' };
+    if (!currency) return { error: 'Invalid currency' };
+    if (schedule && !cron.validate(schedule)) return { error: 'Invalid schedule: use a cron expression such as "0 6 * * 1"' };
+    if (scheduleEnabled && !schedule) return { error: 'A schedule is required to enable scheduled runs' };
+
+    return {
+        definition: {
+            name,
+            publisher,
+            all_titles: allTitles,
+            titles,
+            products,
+            date_range: dateRange,
+            start_date: dateRange === 'custom' ? body.start_date : null,
+            end_date: dateRange === 'custom' ? body.end_date : null,
+            exclusions: normalizeReportExclusions(body.exclusions),
+            currency,
+            export_format: exportFormat,
+            schedule,
+            schedule_enabled: scheduleEnabled
+        }
+    };
+}
+
+function canManageReportDefinition(user, definition) {
+    return user.role === 'admin' || definition.owner_id === user.id;
+}
+
+async function loadReportDefinition(id) {
+    const result = await pool.query(`${REPORT_DEFINITION_SELECT} WHERE d.id = $1`, [id]);
+    return result.rows[0] || null;
+}
+
+// Render a definition to its export format, store the file and record the
+// run. Failures are recorded on the run rather than thrown.
+async function runReportDefinition(definition, trigger, userId) {
+    const format = definition.export_format || 'xlsx';
+    const parameters = reportDefinitionParameters(definition);
+    const run = {
+        status: 'completed',
+        customerCount: null,
+        fileName: null,
+        filePath: null,
+        fileSize: null,
+        error: null
+    };
+
+    try {
+        const report = await runStockistReport(parameters);
+        const buffer = await renderReportExport(report, format);
+
+        await fs.promises.mkdir(REPORT_EXPORT_DIR, { recursive: true });
+        run.filePath = path.join(REPORT_EXPORT_DIR, `${definition.id}-${Date.now()}.${format}`);
+        await fs.promises.writeFile(run.filePath, buffer);
+
+        run.customerCount = report.totalCustomers;
+        run.fileName = reportExportFilename(report, format).replace(
+            `.${format}`,
+            `_${parameters.startDate}_${parameters.endDate}.${format}`
+        );
+        run.fileSize = buffer.length;
+    } catch (error) {
+        console.error(`Report definition ${definition.id} failed:`, error);
+        run.status = 'failed';
+        run.error = error.message;
+    }
+
+    const result = await pool.query(
+        `INSERT INTO report_runs
+            (definition_id, trigger, status, export_format, start_date, end_date,
+             customer_count, file_name, file_path, file_size, error, run_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         RETURNING id, trigger, status, export_format, start_date, end_date,
+                   customer_count, file_name, file_size, error, created_at`,
+        [definition.id, trigger, run.status, format, parameters.startDate, parameters.endDate,
+         run.customerCount, run.fileName, run.filePath, run.fileSize, run.error, userId || null]
+    );
+    return result.rows[0];
+}
+
+function unscheduleReportDefinition(id) {
+    const task = reportSchedules.get(id);
+    if (task) {
+        task.stop();
+        reportSchedules.delete(id);
+    }
+}
+
+// (Re)register the in-process schedule for a definition. The definition is
+// reloaded on each tick so edits made since scheduling are picked up.
+function scheduleReportDefinition(definition) {
+    unscheduleReportDefinition(definition.id);
+    if (!definition.schedule_enabled || !definition.schedule) return;
+
+    const task = cron.schedule(definition.schedule, async () => {
+        try {
+            const current = await loadReportDefinition(definition.id);
+            if (!current) {
+                unscheduleReportDefinition(definition.id);
+                return;
+            }
+            const run = await runReportDefinition(current, 'schedule', null);
+            console.log(`Scheduled report "${current.name}" ${run.status}`);
+        } catch (error) {
+            console.error('Scheduled report error:', error);
+        }
+    });
+    reportSchedules.set(definition.id, task);
+}
+
+async function loadReportSchedules() {
+    try {
+        const result = await pool.query(`${REPORT_DEFINITION_SELECT} WHERE d.schedule_enabled = true`);
+        result.rows.forEach(scheduleReportDefinition);
+        console.log(`Scheduled ${reportSchedules.size} saved reports`);
+    } catch (error) {
+        console.error('Error loading report schedules:', error);
+    }
+}
+
+// Remove the stored export files of a definition's runs
+async function deleteReportRunFiles(definitionId) {
+    const result = await pool.query(
+        'SELECT file_path FROM report_runs WHERE definition_id = $1 AND file_path IS NOT NULL',
+        [definitionId]
+    );
+    for (const row of result.rows) {
+        await fs.promises.unlink(row.file_path).catch(() => {});
+    }
+}
+
+// =============================================
+// ANALYTICS
+// =============================================
+
+// Time series intervals and the step between periods
+const ANALYTICS_INTERVALS = {
+    day: '1 day',
+    week: '1 week',
+    month: '1 month',
+    quarter: '3 months'
+};
+
+const ANALYTICS_METRICS = ['revenue', 'quantity', 'orders'];
+
+// Totals shared by every analytics query, with revenue in the reporting
+// currency (fx.amount, see analyticsScope). Quantity and revenue are net of
+// returns; sales lines without an order reference count as an order each.
+const ANALYTICS_TOTALS = `
+    COALESCE(SUM(r.quantity), 0) AS quantity,
+    ROUND(COALESCE(SUM(fx.amount), 0), 2) AS revenue,
+    COUNT(DISTINCT COALESCE(r.order_reference, 'line-' || r.id)) FILTER (WHERE r.transaction_type = 'sale') AS orders
+`;
+
+// Shift a YYYY-MM-DD date by whole years and days
+function shiftIsoDate(value, years, days) {
+    const date = new Date(value + 'T00:00:00Z');
+    return new Date(Date.UTC(date.getUTCFullYear() + years, date.getUTCMonth(), date.getUTCDate() + days))
+        .toISOString()
+        .split('T')[0];
+}
+
+// Period and scope filters from the query string. Defaults to the last
+// twelve months.
+function parseAnalyticsFilters(query) {
+    const endDate = query.endDate || new Date().toISOString().split('T')[0];
+    const startDate = query.startDate || shiftIsoDate(endDate, -1, 1);
+
+    for (const value of [startDate, endDate]) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+            throw httpError(400, 'Dates must be in YYYY-MM-DD format');
+        }
+    }
+    if (startDate > endDate) {
+        throw httpError(400, 'Start date must be before end date');
+    }
+
+    return {
+        startDate,
+        endDate,
+        publisher: (query.publisher || '').trim() || null,
+        country: (query.country || '').trim() || null,
+        currency: parseReportingCurrency(query.currency)
+    };
+}
+
+function parseAnalyticsLimit(value) {
+    return Math.min(Math.max(parseInt(value) || 10, 1), 100);
+}
+
+function parseAnalyticsMetric(value) {
+    const metric = value || 'revenue';
+    if (!ANALYTICS_METRICS.includes(metric)) {
+        throw httpError(400, `Metric must be one of: ${ANALYTICS_METRICS.join(', ')}`);
+    }
+    return metric;
+}
+
+// FROM/WHERE clause and parameters for the sales lines in scope, with each
+// line's total converted to the reporting currency as fx.amount. Customers
+// excluded on the Customers page are always left out.
+function analyticsScope(filters) {
+    const params = [filters.startDate, filters.endDate, filters.currency || BASE_CURRENCY];
+    const joins = [
+        `LEFT JOIN LATERAL (SELECT ${convertedTotalSql('$3::text')} AS amount) fx ON true`,
+        'LEFT JOIN customers c ON c.id = r.customer_id',
+        'LEFT JOIN customer_exclusions ce ON ce.customer_name = r.customer_name'
+    ];
+    const where = ['r.order_date >= $1', 'r.order_date <= $2', 'COALESCE(ce.excluded, false) = false'];
+
+    if (filters.publisher) {
+        params.push(filters.publisher);
+        joins.push('JOIN booksonix_records b ON b.id = r.booksonix_id');
+        where.push(`UPPER(TRIM(b.publisher)) = UPPER($${params.length})`);
+    }
+    if (filters.country) {
+        where.push(countryMatchSql('c.country_code', [filters.country], params));
+    }
+
+    return {
+        from: `FROM records r ${joins.join(' ')} WHERE ${where.join(' AND ')}`,
+        params
+    };
+}
+
+// pg returns SUM/COUNT as strings
+function analyticsNumbers(row) {
+    const result = { ...row };
+    ['quantity', 'revenue', 'orders', 'customers', 'titles', 'unconverted'].forEach(key => {
+        if (key in result) result[key] = Number(result[key]) || 0;
+    });
+    return result;
+}
+
+async function analyticsTotals(filters) {
+    const scope = analyticsScope(filters);
+    const result = await pool.query(
+        `SELECT ${ANALYTICS_TOTALS},
+                COUNT(DISTINCT r.customer_name) AS customers,
+                COUNT(DISTINCT r.title) AS titles,
+                COUNT(*) FILTER (WHERE fx.amount IS NULL AND r.total <> 0) AS unconverted
+         ${scope.from}`,
+        scope.params
+    );
+    return {
+        startDate: filters.startDate,
+        endDate: filters.endDate,
+        currency: filters.currency || BASE_CURRENCY,
+        ...analyticsNumbers(result.rows[0])
+    };
+}
+
+// Quantity, revenue and orders per period, with empty periods filled in
+async function analyticsTimeSeries(filters, interval) {
+    const scope = analyticsScope(filters);
+    const result = await pool.query(
+        `SELECT TO_CHAR(p.period, 'YYYY-MM-DD') AS period,
+                COALESCE(a.quantity, 0) AS quantity,
+                COALESCE(a.revenue, 0) AS revenue,
+                COALESCE(a.orders, 0) AS orders
+         FROM generate_series(
+             DATE_TRUNC('${interval}', $1::timestamp),
+             $2::timestamp,
+             INTERVAL '${ANALYTICS_INTERVALS[interval]}'
+         ) AS p(period)
+         LEFT JOIN (
+             SELECT DATE_TRUNC('${interval}', r.order_date::timestamp) AS period, ${ANALYTICS_TOTALS}
+             ${scope.from}
+             GROUP BY 1
+         ) a ON a.period = p.period
+         ORDER BY p.period`,
+        scope.params
+    );
+    return result.rows.map(analyticsNumbers);
+}
+
+// Sales per country, or per city within each country, by customer location
+async function analyticsGeography(filters, by) {
+    const scope = analyticsScope(filters);
+    const columns = by === 'city' ? 'c.country_code, c.city' : 'c.country_code';
+    const result = await pool.query(
+        `SELECT ${columns}, COUNT(DISTINCT r.customer_name) AS customers, ${ANALYTICS_TOTALS}
+         ${scope.from}
+         GROUP BY ${columns}
+         ORDER BY revenue DESC`,
+        scope.params
+    );
+
+    return result.rows.map(row => {
+        const { country_code, city, ...totals } = analyticsNumbers(row);
+        return {
+            country: expandCountryName(country_code),
+            ...(by === 'city' ? { city: city || 'Unknown' } : {}),
+            ...totals
+        };
+    });
+}
+
+// Percentage change from previous to current, or null when there is no base
+function percentChange(current, previous) {
+    if (!previous) return null;
+    return Math.round(((current - previous) / previous) * 1000) / 10;
+}
+
+// Wrap an analytics handler: parse filters, map 400s and log the rest
+function analyticsRoute(handler) {
+    return async (req, res) => {
+        try {
+            const filters = parseAnalyticsFilters(req.query);
+            res.json(await handler(filters, req.query));
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error('Analytics error:', error);
+            res.status(500).json({ error: 'Database error' });
+        }
+    };
+}
+
+// =============================================
+// LAPSED STOCKISTS
+// =============================================
+
+const LAPSED_DEFAULTS = {
+    minDays: 90,
+    cadenceMultiplier: 2,
+    minOrders: 3,
+    declineThreshold: 50
+};
+
+// Options for the lapsed stockist report from the query string
+function parseLapsedOptions(query) {
+    const asOf = query.asOf || new Date().toISOString().split('T')[0];
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf) || isNaN(Date.parse(asOf))) {
+        throw httpError(400, 'Dates must be in YYYY-MM-DD format');
+    }
+
+    const number = (value, fallback, min) => {
+        const parsed = parseFloat(value);
+        return isNaN(parsed) ? fallback : Math.max(parsed, min);
+    };
+
+    return {
+        asOf,
+        minDays: number(query.minDays, LAPSED_DEFAULTS.minDays, 1),
+        cadenceMultiplier: number(query.cadenceMultiplier, LAPSED_DEFAULTS.cadenceMultiplier, 1),
+        minOrders: number(query.minOrders, LAPSED_DEFAULTS.minOrders, 2),
+        declineThreshold: number(query.declineThreshold, LAPSED_DEFAULTS.declineThreshold, 1),
+        publisher: (query.publisher || '').trim() || null,
+        country: (query.country || '').trim() || null,
+        currency: parseReportingCurrency(query.currency)
+    };
+}
+
+// Customers whose ordering has dropped off as of a date. A customer is
+// overdue when the days since their last order exceed both minDays and
+// cadenceMultiplier times their usual gap between ordering days (needs
+// minOrders ordering days), and declining when their quantity in the last
+// twelve months is down by declineThreshold percent on the twelve before.
+// Only days with a sale count as ordering days; quantities are net of
+// returns. Excluded customers are left out.
+async function findLapsedStockists(options) {
+    const scope = analyticsScope({
+        startDate: '1900-01-01',
+        endDate: options.asOf,
+        publisher: options.publisher,
+        country: options.country,
+        currency: options.currency
+    });
+
+    const result = await pool.query(
+        `WITH order_days AS (
+             SELECT r.customer_name, r.order_date,
+                    MAX(c.country_code) AS country, MAX(c.city) AS city,
+                    COALESCE(SUM(r.quantity), 0) AS quantity,
+                    COALESCE(SUM(fx.amount), 0) AS revenue,
+                    BOOL_OR(r.transaction_type = 'sale') AS has_sale
+             ${scope.from} AND r.order_date IS NOT NULL
+             GROUP BY r.customer_name, r.order_date
+         )
+         SELECT customer_name,
+                MAX(country) AS country,
+                MAX(city) AS city,
+                COUNT(*) FILTER (WHERE has_sale) AS order_days,
+                TO_CHAR(MIN(order_date) FILTER (WHERE has_sale), 'YYYY-MM-DD') AS first_order,
+                TO_CHAR(MAX(order_date) FILTER (WHERE has_sale), 'YYYY-MM-DD') AS last_order,
+                $2::date - MAX(order_date) FILTER (WHERE has_sale) AS days_since,
+                ROUND(SUM(revenue), 2) AS lifetime_revenue,
+                COALESCE(SUM(quantity) FILTER (WHERE order_date > $2::date - 365), 0) AS recent_quantity,
+                COALESCE(SUM(quantity) FILTER (WHERE order_date <= $2::date - 365 AND order_date > $2::date - 730), 0) AS prior_quantity
+         FROM order_days
+         GROUP BY customer_name
+         HAVING BOOL_OR(has_sale)`,
+        scope.params
+    );
+
+    const lapsed = [];
+    result.rows.forEach(row => {
+        const orderDays = Number(row.order_days);
+        const daysSince = Number(row.days_since);
+        const recent = Number(row.recent_quantity);
+        const prior = Number(row.prior_quantity);
+        const span = (Date.parse(row.last_order) - Date.parse(row.first_order)) / 86400000;
+        const usualGap = orderDays > 1 ? Math.round(span / (orderDays - 1)) : null;
+        const change = prior > 0 ? Math.round(((recent - prior) / prior) * 100) : null;
+        const reasons = [];
+
+        if (daysSince >= options.minDays && orderDays >= options.minOrders &&
+            daysSince > usualGap * options.cadenceMultiplier) {
+            reasons.push(`No order for ${daysSince} days (usually every ${usualGap})`);
+        }
+        if (change !== null && -change >= options.declineThreshold) {
+            reasons.push(`Quantity down ${-change}% year on year (${prior} to ${recent})`);
+        }
+
+        if (reasons.length > 0) {
+            lapsed.push({
+                customer_name: row.customer_name,
+                country: expandCountryName(row.country),
+                city: row.city,
+                first_order: row.first_order,
+                last_order: row.last_order,
+                days_since: daysSince,
+                usual_gap: usualGap,
+                order_days: orderDays,
+                lifetime_revenue: Number(row.lifetime_revenue),
+                recent_quantity: recent,
+                prior_quantity: prior,
+                change,
+                reasons,
+                titles: []
+            });
+        }
+    });
+
+    // The titles each lapsed customer used to take, most copies first
+    if (lapsed.length > 0) {
+        scope.params.push(lapsed.map(customer => customer.customer_name));
+        const titles = await pool.query(
+            `SELECT r.customer_name, r.title, COALESCE(SUM(r.quantity), 0) AS quantity,
+                    TO_CHAR(MAX(r.order_date), 'YYYY-MM-DD') AS last_order
+             ${scope.from} AND r.customer_name = ANY($${scope.params.length}::text[])
+             GROUP BY r.customer_name, r.title
+             ORDER BY quantity DESC, r.title`,
+            scope.params
+        );
+        const byCustomer = new Map(lapsed.map(customer => [customer.customer_name, customer]));
+        titles.rows.forEach(row => {
+            const customer = byCustomer.get(row.customer_name);
+            if (customer.titles.length < 10) {
+                customer.titles.push({ title: row.title, quantity: Number(row.quantity), last_order: row.last_order });
+            }
+        });
+    }
+
+    return lapsed.sort((a, b) => b.lifetime_revenue - a.lifetime_revenue);
+}
+
+// Follow-up list for the sales team, one row per lapsed customer
+function lapsedStockistSheet(lapsed, currency) {
+    return xlsx.utils.aoa_to_sheet([
+        ['Customer', 'Country', 'City', 'Last Order', 'Days Since', 'Usual Gap (days)', 'Ordering Days',
+         `Lifetime Revenue (${currency})`, 'Qty Last 12 Months', 'Qty Previous 12 Months', 'Change %', 'Reasons', 'Titles'],
+        ...lapsed.map(customer => [
+            customer.customer_name,
+            customer.country,
+            customer.city || '',
+            customer.last_order,
+            customer.days_since,
+            customer.usual_gap ?? '',
+            customer.order_days,
+            customer.lifetime_revenue,
+            customer.recent_quantity,
+            customer.prior_quantity,
+            customer.change ?? '',
+            customer.reasons.join('; '),
+            customer.titles.map(title => `${title.title} (${title.quantity})`).join('; ')
+        ])
+    ]);
+}
+
+// =============================================
+// PAGE ROUTES
+// =============================================
+
+// Home page
+app.get('/', requirePage(), (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Upload page
+app.get('/upload', requirePage(), (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'upload.html'));
+});
+
+// Customers page
+app.get('/customers', requirePage(), (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'customers.html'));
+});
+
+// Reports page
+app.get('/reports', requirePage(), (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'reports.html'));
+});
+
+// Settings page
+app.get('/settings', requirePage('admin'), (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'settings.html'));
+});
+
+// Login page (explicit route)
+app.get('/login', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
+
+// Login page with .html extension
+app.get('/login.html', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
 
 // Data Upload main page
-app.get('/data-upload', (req, res) => {
+app.get('/data-upload', requirePage(), (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'data-upload.html'));
 });
 
-// Data Upload sub-pages
-app.get('/data-upload/page1', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'data-upload-page1.html'));
+// Data Upload sub-pages
+app.get('/data-upload/page1', requirePage(), (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'data-upload-page1.html'));
+});
+
+app.get('/data-upload/page2', requirePage(), (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'data-upload-page2.html'));
+});
+
+app.get('/data-upload/page3', requirePage(), (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'data-upload-page3.html'));
+});
+
+app.get('/data-upload/page4', requirePage(), (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'data-upload-page4.html'));
+});
+
+app.get('/data-upload/page5', requirePage(), (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'data-upload-page5.html'));
+});
+
+app.get('/data-upload/page6', requirePage(), (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'data-upload-page6.html'));
+});
+
+// =============================================
+// BOOKSONIX ROUTES - UPDATED TO USE SKU
+// =============================================
+
+// Page route for Booksonix
+app.get('/booksonix', requirePage(), (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'booksonix.html'));
+});
+
+// Upload Booksonix data - with dryRun=true the parsed batch is only previewed
+app.post('/api/booksonix/upload', requireEditor, upload.single('booksonixFile'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const dryRun = req.body.dryRun === 'true';
+    const fullCatalogue = req.body.fullCatalogue === 'true';
+    console.log('Processing Booksonix file:', req.file.originalname, dryRun ? '(dry run)' : '');
+
+    try {
+        const sheets = await readImportSheets(req.file.path);
+        const settings = await loadSettings();
+        const resolved = await resolveImportProfile(req, 'booksonix', sheets, settings);
+        if (resolved.needsMapping) {
+            fs.unlinkSync(req.file.path);
+            return res.status(422).json(resolved.needsMapping);
+        }
+
+        const { profile, sheet: { headers, rows: data }, detection } = resolved;
+        console.log('Using import profile:', profile.name, `(${detection.method}, confidence ${detection.confidence.toFixed(2)})`);
+        console.log('Total rows in file:', data.length);
+
+        const headerLookup = buildHeaderLookup(headers);
+        const rows = await classifyBooksonixRows(
+            buildImportRows(data, row => parseRowWithProfile(row, profile, headerLookup)),
+            !settings.skipDuplicates
+        );
+        const summary = summarizeImportRows(rows);
+
+        // Clean up uploaded file
+        fs.unlinkSync(req.file.path);
+
+        if (dryRun) {
+            const previewId = await saveImportPreview('booksonix', req.file.originalname, rows, req.user.id, headers);
+            return res.json({
+                success: true,
+                dryRun: true,
+                previewId,
+                filename: req.file.originalname,
+                profile: { id: profile.id, name: profile.name },
+                detection,
+                unmappedHeaders: unmappedHeaders(profile, headers),
+                summary,
+                rows
+            });
+        }
+
+        const result = await commitBooksonixRows(rows, req.file.originalname, req.user.id, headers, fullCatalogue);
+        res.json({ ...booksonixUploadResponse(rows, summary, result), profile: { id: profile.id, name: profile.name }, detection });
+
+    } catch (error) {
+        console.error('Booksonix upload error:', error);
+        if (fs.existsSync(req.file.path)) {
+            fs.unlinkSync(req.file.path);
+        }
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Commit a previewed Booksonix batch; fullCatalogue as on the upload
+app.post('/api/booksonix/commit', requireEditor, async (req, res) => {
+    try {
+        const preview = await takeImportPreview(req.body.previewId, 'booksonix', req.user.id);
+        if (!preview) {
+            return res.status(404).json({ error: 'Preview not found or expired - please upload the file again' });
+        }
+
+        const rows = preview.rows;
+        const result = await commitBooksonixRows(rows, preview.filename, req.user.id, preview.headers, req.body.fullCatalogue === true);
+        res.json(booksonixUploadResponse(rows, summarizeImportRows(rows), result));
+    } catch (error) {
+        console.error('Booksonix commit error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Build the Booksonix upload response shared by direct uploads and commits
+function booksonixUploadResponse(rows, summary, result) {
+    const errors = summary.rejected;
+
+    console.log('Upload summary:', {
+        totalRows: rows.length,
+        newRecords: result.newRecords,
+        updated: result.updated,
+        unchanged: summary.duplicate,
+        errors
+    });
+
+    return {
+        success: true,
+        uploadId: result.uploadId,
+        message: `Processed ${rows.length} records. New: ${result.newRecords}, Updated: ${result.updated}, Unchanged: ${summary.duplicate}, Errors: ${errors}`,
+        newRecords: result.newRecords,
+        duplicates: result.updated,
+        unchanged: summary.duplicate,
+        errors: errors,
+        skippedNoSku: summary.rejected,
+        rejected: result.rejected,
+        diff: result.diff
+    };
+}
+
+// Get Booksonix records
+app.get('/api/booksonix/records', requireAuth, async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT * FROM booksonix_records ORDER BY upload_date DESC LIMIT 500'
+        );
+        
+        res.json({ records: result.rows });
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Get Booksonix statistics - UPDATED TO COUNT UNIQUE SKUs
+app.get('/api/booksonix/stats', requireAuth, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT 
+                COUNT(*) as total_records,
+                COUNT(DISTINCT sku) as unique_skus,
+                SUM(quantity) as total_quantity,
+                COUNT(DISTINCT publisher) as publishers
+            FROM booksonix_records
+        `);
+        
+        res.json({
+            totalRecords: result.rows[0].total_records || 0,
+            uniqueSKUs: result.rows[0].unique_skus || 0,
+            totalQuantity: result.rows[0].total_quantity || 0,
+            totalPublishers: result.rows[0].publishers || 0
+        });
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Get the price and metadata timeline of a SKU: its versions, oldest first,
+// and the uploads whose file left it out
+app.get('/api/booksonix/products/:sku/history', requireAuth, async (req, res) => {
+    const sku = req.params.sku;
+
+    try {
+        const product = await pool.query('SELECT * FROM booksonix_records WHERE sku = $1', [sku]);
+        const versions = await pool.query(
+            `SELECT v.id, v.upload_id, v.change_type, v.isbn, v.title, v.publisher, v.price, v.currency,
+                    v.changes, v.recorded_at, ul.filename, ul.status AS upload_status,
+                    u.username AS uploaded_by_username
+             FROM booksonix_versions v
+             LEFT JOIN upload_log ul ON ul.id = v.upload_id
+             LEFT JOIN users u ON u.id = ul.uploaded_by
+             WHERE v.sku = $1
+             ORDER BY v.recorded_at, v.id`,
+            [sku]
+        );
+        if (product.rows.length === 0 && versions.rows.length === 0) {
+            return res.status(404).json({ error: 'SKU not found' });
+        }
+
+        const missingFrom = await pool.query(
+            `SELECT id AS upload_id, filename, upload_date, status
+             FROM upload_log
+             WHERE import_type = 'booksonix' AND $1 = ANY(missing_skus)
+             ORDER BY upload_date`,
+            [sku]
+        );
+
+        res.json({
+            sku,
+            product: product.rows[0] || null,
+            versions: versions.rows,
+            missingFrom: missingFrom.rows
+        });
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Search catalogue products by SKU, ISBN or title, with their linked sales lines
+app.get('/api/catalogue/products', requireAuth, async (req, res) => {
+    const search = (req.query.search || '').trim();
+    const isbn13 = normalizeIsbn(search);
+
+    try {
+        const result = await pool.query(`
+            SELECT b.id, b.sku, b.isbn, b.isbn13, b.title, b.publisher,
+                   (SELECT COUNT(*) FROM records r WHERE r.booksonix_id = b.id) AS sales_lines
+            FROM booksonix_records b
+            WHERE $1 = '' OR b.sku ILIKE $2 OR b.title ILIKE $2 OR b.isbn13 = $3
+            ORDER BY b.title
+            LIMIT 50
+        `, [search, `%${search}%`, isbn13]);
+        res.json(result.rows);
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Get sales lines that don't match a catalogue product, grouped by EAN and title
+app.get('/api/catalogue/unmatched', requireAuth, async (req, res) => {
+    const search = (req.query.search || '').trim();
+
+    try {
+        const result = await pool.query(`
+            SELECT COALESCE(r.book_ean, '') AS book_ean,
+                   COALESCE(r.title, '') AS title,
+                   MAX(r.isbn13) AS isbn13,
+                   COUNT(*) AS sales_lines,
+                   SUM(r.quantity) AS total_quantity,
+                   MAX(r.order_date) AS last_order
+            FROM records r
+            WHERE r.booksonix_id IS NULL
+            AND ($1 = '' OR r.title ILIKE $2 OR r.book_ean ILIKE $2)
+            GROUP BY COALESCE(r.book_ean, ''), COALESCE(r.title, '')
+            ORDER BY sales_lines DESC, title
+            LIMIT 500
+        `, [search, `%${search}%`]);
+
+        const totals = await pool.query(`
+            SELECT COUNT(*) FILTER (WHERE booksonix_id IS NULL) AS unmatched,
+                   COUNT(*) AS total
+            FROM records
+        `);
+
+        res.json({
+            unmatched: result.rows,
+            unmatchedLines: parseInt(totals.rows[0].unmatched),
+            totalLines: parseInt(totals.rows[0].total)
+        });
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Get catalogue links made by hand
+app.get('/api/catalogue/links', requireAuth, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT l.*, b.sku, b.title AS product_title, u.username AS created_by_username
+            FROM catalogue_links l
+            JOIN booksonix_records b ON b.id = l.booksonix_id
+            LEFT JOIN users u ON u.id = l.created_by
+            ORDER BY l.created_at DESC
+        `);
+        res.json(result.rows);
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Link an unmatched EAN/title to a catalogue product, given by id, SKU or ISBN.
+// The link is remembered so future uploads of the same line match too.
+app.post('/api/catalogue/links', requireEditor, async (req, res) => {
+    const bookEan = (req.body.book_ean || '').trim();
+    const title = (req.body.title || '').trim();
+    const product = req.body.product !== undefined ? String(req.body.product).trim() : '';
+
+    if (!bookEan && !title) {
+        return res.status(400).json({ error: 'An EAN or title is required' });
+    }
+    if (!req.body.booksonix_id && !product) {
+        return res.status(400).json({ error: 'A catalogue product is required' });
+    }
+
+    try {
+        const productResult = req.body.booksonix_id
+            ? await pool.query('SELECT id, sku, title FROM booksonix_records WHERE id = $1', [req.body.booksonix_id])
+            : await pool.query(
+                'SELECT id, sku, title FROM booksonix_records WHERE UPPER(sku) = UPPER($1) OR isbn13 = $2 ORDER BY id LIMIT 1',
+                [product, normalizeIsbn(product)]
+            );
+        if (productResult.rows.length === 0) {
+            return res.status(404).json({ error: 'No catalogue product matches that SKU or ISBN' });
+        }
+        const booksonixProduct = productResult.rows[0];
+
+        const linked = await withTransaction(async (client) => {
+            const link = await client.query(
+                `INSERT INTO catalogue_links (book_ean, title, booksonix_id, created_by)
+                 VALUES ($1, $2, $3, $4)
+                 ON CONFLICT (book_ean, title) DO UPDATE SET booksonix_id = EXCLUDED.booksonix_id
+                 RETURNING id`,
+                [bookEan, title, booksonixProduct.id, req.user.id]
+            );
+            await recordAudit(client, req.user.id, 'link', 'catalogue_link', link.rows[0].id, null, {
+                book_ean: bookEan, title, booksonix_id: booksonixProduct.id, sku: booksonixProduct.sku
+            });
+            return linkSalesToCatalogue(client);
+        });
+
+        res.json({
+            success: true,
+            message: `Linked to ${booksonixProduct.sku} (${booksonixProduct.title || 'untitled'}) - ${linked} sales lines matched`,
+            linked
+        });
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Remove a catalogue link; the sales lines it matched become unmatched again
+app.delete('/api/catalogue/links/:id', requireEditor, async (req, res) => {
+    try {
+        const unlinked = await withTransaction(async (client) => {
+            const link = await client.query('DELETE FROM catalogue_links WHERE id = $1 RETURNING *', [req.params.id]);
+            if (link.rows.length === 0) {
+                return null;
+            }
+
+            const { book_ean, title, booksonix_id } = link.rows[0];
+            await recordAudit(client, req.user.id, 'unlink', 'catalogue_link', req.params.id, { book_ean, title, booksonix_id });
+            const result = await client.query(
+                `UPDATE records SET booksonix_id = NULL
+                 WHERE booksonix_id = $1 AND COALESCE(book_ean, '') = $2 AND COALESCE(title, '') = $3`,
+                [booksonix_id, book_ean, title]
+            );
+            // Lines that also match on ISBN or SKU are linked straight back
+            await linkSalesToCatalogue(client);
+            return result.rowCount;
+        });
+
+        if (unlinked === null) {
+            return res.status(404).json({ error: 'Link not found' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Schema migration status: applied and pending migrations
+app.get('/api/migrations', requireAdmin, async (req, res) => {
+    try {
+        const client = await pool.connect();
+        try {
+            res.json(await loadMigrationStatus(client));
+        } finally {
+            client.release();
+        }
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// =============================================
+// API ROUTES
+// =============================================
+
+// Authentication endpoint
+app.post('/api/login', async (req, res) => {
+    const { username, password, remember } = req.body;
+
+    console.log('Login attempt for username:', username);
+
+    if (!username || !password) {
+        return res.status(400).json({ error: 'Username and password required' });
+    }
+
+    try {
+        const result = await pool.query(
+            'SELECT * FROM users WHERE username = $1 OR email = $1',
+            [username]
+        );
+
+        console.log('Found users:', result.rows.length);
+
+        if (result.rows.length === 0) {
+            console.log('No user found with username:', username);
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        const user = result.rows[0];
+        console.log('User found:', user.username, 'Role:', user.role);
+        
+        const validPassword = await bcrypt.compare(password, user.password);
+        console.log('Password valid:', validPassword);
+        
+        if (!validPassword) {
+            console.log('Invalid password for user:', username);
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        // Update last login
+        await pool.query(
+            'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
+            [user.id]
+        );
+
+        console.log('Login successful for:', username);
+
+        // Issue a server-side session
+        const ttl = remember ? SESSION_REMEMBER_TTL_MS : SESSION_TTL_MS;
+        const token = await createSession(user.id, ttl);
+        setSessionCookie(res, token, ttl);
+
+        res.json({
+            success: true,
+            user: {
+                id: user.id,
+                username: user.username,
+                email: user.email,
+                role: user.role
+            }
+        });
+    } catch (err) {
+        console.error('Login database error:', err);
+        res.status(500).json({ error: 'Database error during login' });
+    }
+});
+
+// Logout endpoint - ends the current session
+app.post('/api/logout', async (req, res) => {
+    try {
+        if (req.sessionToken) {
+            await pool.query(
+                'DELETE FROM user_sessions WHERE token_hash = $1',
+                [hashSessionToken(req.sessionToken)]
+            );
+        }
+        res.clearCookie(SESSION_COOKIE, { path: '/' });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Logout error:', err);
+        res.status(500).json({ error: 'Database error during logout' });
+    }
+});
+
+// Current session endpoint
+app.get('/api/session', requireAuth, (req, res) => {
+    res.json({
+        user: {
+            id: req.user.id,
+            username: req.user.username,
+            email: req.user.email,
+            role: req.user.role
+        },
+        expiresAt: req.user.expires_at
+    });
+});
+
+// Upload endpoint - with dryRun=true the parsed batch is only previewed
+app.post('/upload', requireEditor, upload.single('excelFile'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const dryRun = req.body.dryRun === 'true';
+    console.log('Processing file:', req.file.originalname, dryRun ? '(dry run)' : '');
+
+    try {
+        // Gazelle and Shopify exports, as CSV or workbook, are told apart by their columns
+        const sheets = await readImportSheets(req.file.path);
+        const settings = await loadSettings();
+        const resolved = await resolveImportProfile(req, 'sales', sheets, settings);
+        if (resolved.needsMapping) {
+            fs.unlinkSync(req.file.path);
+            return res.status(422).json(resolved.needsMapping);
+        }
+
+        const { profile, sheet: { headers, rows: data }, detection } = resolved;
+        console.log('Using import profile:', profile.name, `(${detection.method}, confidence ${detection.confidence.toFixed(2)})`);
+
+        const headerLookup = buildHeaderLookup(headers);
+        const rows = buildImportRows(data, row => parseRowWithProfile(row, profile, headerLookup, settings));
+
+        await classifySalesRows(rows, !settings.skipDuplicates);
+        fs.unlinkSync(req.file.path);
+
+        if (dryRun) {
+            const previewId = await saveImportPreview('sales', req.file.originalname, rows, req.user.id, headers);
+            return res.json({
+                success: true,
+                dryRun: true,
+                previewId,
+                filename: req.file.originalname,
+                profile: { id: profile.id, name: profile.name },
+                detection,
+                unmappedHeaders: unmappedHeaders(profile, headers),
+                summary: summarizeImportRows(rows),
+                rows
+            });
+        }
+
+        const result = await commitSalesRows(rows, req.file.originalname, req.user.id, headers);
+
+        res.json({ ...salesUploadResponse(result), profile: { id: profile.id, name: profile.name }, detection });
+    } catch (error) {
+        console.error('Upload error:', error);
+        if (fs.existsSync(req.file.path)) {
+            fs.unlinkSync(req.file.path);
+        }
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Commit a previewed sales batch
+app.post('/upload/commit', requireEditor, async (req, res) => {
+    try {
+        const preview = await takeImportPreview(req.body.previewId, 'sales', req.user.id);
+        if (!preview) {
+            return res.status(404).json({ error: 'Preview not found or expired - please upload the file again' });
+        }
+
+        const result = await commitSalesRows(preview.rows, preview.filename, req.user.id, preview.headers);
+
+        res.json(salesUploadResponse(result));
+    } catch (error) {
+        console.error('Upload commit error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Build the sales upload response shared by direct uploads and commits
+function salesUploadResponse(result) {
+    return {
+        success: true,
+        uploadId: result.uploadId,
+        message: `Uploaded ${result.inserted} records, ` +
+            (result.updated > 0 ? `${result.updated} updated, ` : '') +
+            `${result.skipped} duplicates skipped` +
+            (result.rejected > 0 ? `, ${result.rejected} rows rejected` : ''),
+        inserted: result.inserted,
+        updated: result.updated,
+        skipped: result.skipped,
+        rejected: result.rejected
+    };
+}
+
+// Get records with pagination
+app.get('/records', requireAuth, async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = 500;
+    const offset = (page - 1) * limit;
+
+    try {
+        // Get total count
+        const countResult = await pool.query('SELECT COUNT(*) FROM records');
+        const totalRecords = parseInt(countResult.rows[0].count);
+        const totalPages = Math.ceil(totalRecords / limit);
+
+        // Get records for current page
+        const result = await pool.query(
+            'SELECT * FROM records ORDER BY id DESC LIMIT $1 OFFSET $2',
+            [limit, offset]
+        );
+
+        res.json({
+            records: result.rows,
+            pagination: {
+                currentPage: page,
+                totalPages: totalPages,
+                totalRecords: totalRecords,
+                recordsPerPage: limit,
+                hasNextPage: page < totalPages,
+                hasPreviousPage: page > 1,
+                recordsOnThisPage: result.rows.length
+            }
+        });
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Get upload log
+app.get('/upload-log', requireAuth, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT ul.*, u.username as uploaded_by_username
+            FROM upload_log ul
+            LEFT JOIN users u ON u.id = ul.uploaded_by
+            ORDER BY ul.upload_date DESC
+            LIMIT 20
+        `);
+        res.json(result.rows);
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Undo a sales upload - deletes exactly the rows it introduced. Admins can
+// undo any upload, editors only their own.
+app.post('/api/uploads/:id/undo', requireEditor, async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const result = await withTransaction(async (client) => {
+            const logResult = await client.query(
+                'SELECT * FROM upload_log WHERE id = $1 FOR UPDATE',
+                [id]
+            );
+            if (logResult.rows.length === 0) {
+                return { status: 404, error: 'Upload not found' };
+            }
+
+            const uploadLog = logResult.rows[0];
+            if (req.user.role !== 'admin' && uploadLog.uploaded_by !== req.user.id) {
+                return { status: 403, error: 'You can only undo your own uploads' };
+            }
+            if (uploadLog.status === 'undone') {
+                return { status: 400, error: 'This upload has already been undone' };
+            }
+            // Booksonix uploads overwrite existing SKUs and deleting a SKU drops
+            // its catalogue links, so they can't be reversed by deleting rows
+            if (uploadLog.import_type === 'booksonix') {
+                return { status: 400, error: 'Booksonix uploads cannot be undone - upload a corrected catalogue file instead' };
+            }
+
+            const deleted = await client.query('DELETE FROM records WHERE upload_id = $1', [id]);
+
+            await client.query(
+                `UPDATE upload_log SET status = 'undone', undone_at = CURRENT_TIMESTAMP WHERE id = $1`,
+                [id]
+            );
+            await recordAudit(client, req.user.id, 'undo', 'upload', id,
+                { status: uploadLog.status, records_count: uploadLog.records_count },
+                { status: 'undone', deleted: deleted.rowCount });
+            return { deleted: deleted.rowCount };
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        console.log(`Upload ${id} undone: ${result.deleted} rows deleted`);
+        res.json({
+            success: true,
+            message: `Upload undone - ${result.deleted} records removed`,
+            deleted: result.deleted
+        });
+    } catch (err) {
+        console.error('Error undoing upload:', err);
+        res.status(500).json({ error: 'Failed to undo upload', details: err.message });
+    }
+});
+
+// Load an upload and its rejected rows, in file order
+async function loadImportRejects(uploadId) {
+    const logResult = await pool.query('SELECT * FROM upload_log WHERE id = $1', [uploadId]);
+    if (logResult.rows.length === 0) {
+        return null;
+    }
+
+    const rejects = await pool.query(
+        'SELECT row_number, raw_values, reason FROM import_rejects WHERE upload_id = $1 ORDER BY row_number',
+        [uploadId]
+    );
+    return { upload: logResult.rows[0], rejects: rejects.rows };
+}
+
+// Get the rows an upload rejected
+app.get('/api/uploads/:id/rejects', requireAuth, async (req, res) => {
+    try {
+        const report = await loadImportRejects(req.params.id);
+        if (!report) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+
+        res.json({
+            uploadId: report.upload.id,
+            filename: report.upload.filename,
+            headers: report.upload.source_headers || [],
+            rejects: report.rejects
+        });
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Download the rejected rows as CSV or XLSX. Columns follow the original file
+// so the rows can be fixed and re-uploaded; the row number and reason are
+// appended at the end, where imports ignore them.
+app.get('/api/uploads/:id/rejects/download', requireAuth, async (req, res) => {
+    const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+
+    try {
+        const report = await loadImportRejects(req.params.id);
+        if (!report) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+
+        const headers = [...(report.upload.source_headers || [])];
+        report.rejects.forEach(reject => {
+            Object.keys(reject.raw_values).forEach(header => {
+                if (!headers.includes(header)) headers.push(header);
+            });
+        });
+
+        const sheet = xlsx.utils.aoa_to_sheet([
+            [...headers, 'Import Row', 'Import Error'],
+            ...report.rejects.map(reject => [
+                ...headers.map(header => reject.raw_values[header] ?? ''),
+                reject.row_number,
+                reject.reason
+            ])
+        ]);
+
+        const baseName = report.upload.filename.replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_');
+        res.attachment(`${baseName}-rejects.${format}`);
+
+        if (format === 'xlsx') {
+            const workbook = xlsx.utils.book_new();
+            xlsx.utils.book_append_sheet(workbook, sheet, 'Rejected Rows');
+            res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            return res.send(xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+        }
+
+        res.type('text/csv');
+        res.send(xlsx.utils.sheet_to_csv(sheet));
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Get what a Booksonix upload changed in the catalogue: SKUs added, fields
+// changed with their old and new values, and catalogue SKUs the file left
+// out. missing is null unless the upload was a full catalogue export.
+app.get('/api/uploads/:id/diff', requireAuth, async (req, res) => {
+    try {
+        const logResult = await pool.query('SELECT * FROM upload_log WHERE id = $1', [req.params.id]);
+        if (logResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+        const upload = logResult.rows[0];
+        if (upload.import_type !== 'booksonix') {
+            return res.status(400).json({ error: 'Only Booksonix uploads have a catalogue diff' });
+        }
+
+        const versions = await pool.query(
+            `SELECT sku, change_type, isbn, title, publisher, price, currency, changes
+             FROM booksonix_versions WHERE upload_id = $1
+             ORDER BY sku`,
+            [upload.id]
+        );
+        const missing = upload.missing_skus ? await pool.query(
+            `SELECT m.sku, b.title, b.publisher
+             FROM unnest($1::text[]) AS m(sku)
+             LEFT JOIN booksonix_records b ON b.sku = m.sku
+             ORDER BY m.sku`,
+            [upload.missing_skus]
+        ) : null;
+
+        res.json({
+            uploadId: upload.id,
+            filename: upload.filename,
+            uploadDate: upload.upload_date,
+            status: upload.status,
+            added: versions.rows.filter(row => row.change_type === 'added'),
+            changed: versions.rows.filter(row => row.change_type === 'changed'),
+            missing: missing ? missing.rows : null
+        });
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Get customers
+app.get('/api/customers', requireAuth, async (req, res) => {
+    try {
+        // Sales totals per customer net of returns, revenue in the base
+        // currency with lines that have no rate counted separately; location
+        // and details from the customer record
+        const result = await pool.query(`
+            WITH customer_aggregates AS (
+                SELECT 
+                    r.customer_id,
+                    COUNT(*) FILTER (WHERE r.transaction_type = 'sale') as total_orders,
+                    SUM(r.quantity) as total_quantity,
+                    COALESCE(-SUM(r.quantity) FILTER (WHERE r.transaction_type = 'return'), 0) as returned_quantity,
+                    ROUND(SUM(fx.amount), 2) as total_revenue,
+                    COUNT(*) FILTER (WHERE fx.amount IS NULL AND r.total <> 0) as unconverted_lines,
+                    MAX(r.order_date) FILTER (WHERE r.transaction_type = 'sale') as last_order
+                FROM records r
+                LEFT JOIN LATERAL (SELECT ${convertedTotalSql(`'${BASE_CURRENCY}'`)} AS amount) fx ON true
+                WHERE r.customer_id IS NOT NULL
+                GROUP BY r.customer_id
+            )
+            SELECT 
+                c.id,
+                c.name as customer_name,
+                c.aliases,
+                COALESCE(c.country_code, 'Unknown') as country,
+                COALESCE(c.city, 'Unknown') as city,
+                c.address,
+                c.postcode,
+                c.customer_type,
+                c.email,
+                c.notes,
+                c.active,
+                COALESCE(ca.total_orders, 0) as total_orders,
+                COALESCE(ca.total_quantity, 0) as total_quantity,
+                COALESCE(ca.returned_quantity, 0) as returned_quantity,
+                COALESCE(ca.total_revenue, 0) as total_revenue,
+                COALESCE(ca.unconverted_lines, 0) as unconverted_lines,
+                ca.last_order,
+                CASE WHEN ce.excluded = true THEN true ELSE false END as excluded
+            FROM customers c
+            LEFT JOIN customer_aggregates ca ON ca.customer_id = c.id
+            LEFT JOIN customer_exclusions ce ON c.name = ce.customer_name
+            ORDER BY c.name
+        `);
+
+        const stats = await pool.query(`
+            SELECT 
+                COUNT(*) as total_customers,
+                COUNT(DISTINCT country_code) as total_countries,
+                (SELECT COUNT(*) FROM records WHERE customer_id IS NOT NULL) as total_orders
+            FROM customers
+        `);
+
+        res.json({
+            customers: result.rows.map(row => ({ ...row, country_name: expandCountryName(row.country) })),
+            stats: {
+                ...stats.rows[0],
+                currency: BASE_CURRENCY,
+                unconverted: result.rows.reduce((sum, row) => sum + (parseInt(row.unconverted_lines) || 0), 0)
+            },
+            types: CUSTOMER_TYPES
+        });
+    } catch (err) {
+        console.error('Database error in /api/customers:', err);
+        res.status(500).json({ 
+            error: 'Database error', 
+            details: err.message 
+        });
+    }
+});
+
+// ISO 3166-1 countries for customer locations
+app.get('/api/countries', requireAuth, (req, res) => {
+    res.json(
+        Object.entries(ISO_COUNTRIES)
+            .map(([code, name]) => ({ code, name }))
+            .sort((a, b) => a.name.localeCompare(b.name))
+    );
+});
+
+// Update a single location field of a customer
+app.post('/api/customers/update', requireEditor, async (req, res) => {
+    const { customerName, field, value } = req.body;
+
+    if (field !== 'country' && field !== 'city') {
+        return res.status(400).json({ error: 'Invalid field' });
+    }
+
+    let column = 'city';
+    let newValue = value && value !== 'Unknown' ? String(value).trim() : null;
+    if (field === 'country') {
+        column = 'country_code';
+        if (newValue) {
+            newValue = normalizeCountryCode(newValue);
+            if (!newValue) {
+                return res.status(400).json({ error: `Unknown country "${value}"` });
+            }
+        }
+    }
+
+    try {
+        const found = await withTransaction(async (client) => {
+            const existing = await client.query(
+                `SELECT id, ${column} AS value FROM customers WHERE name = $1 FOR UPDATE`,
+                [customerName]
+            );
+            if (existing.rows.length === 0) {
+                return false;
+            }
+            const { id, value: oldValue } = existing.rows[0];
+            await client.query(
+                `UPDATE customers SET ${column} = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+                [newValue, id]
+            );
+            await recordAudit(client, req.user.id, 'update', 'customer', id, { [column]: oldValue }, { [column]: newValue });
+            return true;
+        });
+        if (!found) {
+            return res.status(404).json({ error: 'Customer not found' });
+        }
+        res.json({ success: true, value: newValue || 'Unknown' });
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Bulk location updates, matched by customer name or alias. Countries are
+// normalised to ISO codes; rows with an unrecognised country are skipped.
+app.post('/api/customers/bulk-update', requireEditor, async (req, res) => {
+    const { updates } = req.body;
+    let updatedCount = 0;
+    const skipped = [];
+
+    try {
+        await withTransaction(async (client) => {
+            for (const update of updates) {
+                const country = update.country && update.country !== 'Unknown' ? normalizeCountryCode(update.country) : null;
+                if (update.country && update.country !== 'Unknown' && !country) {
+                    skipped.push({ customerName: update.customerName, reason: `Unknown country "${update.country}"` });
+                    continue;
+                }
+
+                const existing = await client.query(
+                    'SELECT id, country_code, city FROM customers WHERE name = $1 OR $1 = ANY(aliases) FOR UPDATE',
+                    [update.customerName]
+                );
+                if (existing.rows.length === 0) {
+                    skipped.push({ customerName: update.customerName, reason: 'Customer not found' });
+                    continue;
+                }
+
+                const city = update.city && update.city !== 'Unknown' ? update.city : null;
+                for (const before of existing.rows) {
+                    await client.query(
+                        `UPDATE customers
+                         SET country_code = COALESCE($1, country_code),
+                             city = COALESCE($2, city),
+                             updated_at = CURRENT_TIMESTAMP
+                         WHERE id = $3`,
+                        [country, city, before.id]
+                    );
+                    await recordAudit(client, req.user.id, 'bulk_update', 'customer', before.id,
+                        { country_code: before.country_code, city: before.city },
+                        { country_code: country || before.country_code, city: city || before.city });
+                    updatedCount++;
+                }
+            }
+        });
+        res.json({ success: true, updated: updatedCount, skipped });
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Get a customer with their details
+app.get('/api/customers/:id', requireAuth, async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM customers WHERE id = $1', [req.params.id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Customer not found' });
+        }
+        const customer = result.rows[0];
+        res.json({ ...customer, country_name: customer.country_code ? expandCountryName(customer.country_code) : null });
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Update a customer's details. Renaming moves the sales rows and exclusion
+// flag to the new name and keeps the old name as an alias.
+app.put('/api/customers/:id', requireEditor, async (req, res) => {
+    const { customer, error } = validateCustomer(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const updated = await withTransaction(async (client) => {
+            const existing = await client.query('SELECT * FROM customers WHERE id = $1 FOR UPDATE', [req.params.id]);
+            if (existing.rows.length === 0) {
+                throw httpError(404, 'Customer not found');
+            }
+
+            const oldName = existing.rows[0].name;
+            if (oldName !== customer.name && !customer.aliases.includes(oldName)) {
+                customer.aliases.push(oldName);
+            }
+
+            await client.query(
+                `UPDATE customers
+                 SET name = $1, aliases = $2, address = $3, postcode = $4, city = $5, country_code = $6,
+                     customer_type = $7, email = $8, notes = $9, active = $10, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $11`,
+                [customer.name, customer.aliases, customer.address, customer.postcode, customer.city,
+                 customer.country_code, customer.customer_type, customer.email, customer.notes,
+                 customer.active, req.params.id]
+            );
+
+            if (oldName !== customer.name) {
+                await client.query('UPDATE records SET customer_name = $1 WHERE customer_id = $2', [customer.name, req.params.id]);
+                await client.query(
+                    'UPDATE customer_exclusions SET customer_name = $1, updated_at = CURRENT_TIMESTAMP WHERE customer_name = $2',
+                    [customer.name, oldName]
+                );
+            }
+
+            const before = {};
+            Object.keys(customer).forEach(field => { before[field] = existing.rows[0][field]; });
+            await recordAudit(client, req.user.id, 'update', 'customer', req.params.id, before, customer);
+            return customer;
+        });
+
+        res.json({ success: true, customer: updated });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        if (err.code === '23505') {
+            return res.status(400).json({ error: 'Another customer already has this name' });
+        }
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+
+// Merge customers into a target, optionally mapping their names to it for future imports
+app.post('/api/customers/merge', requireEditor, async (req, res) => {
+    const targetId = parseInt(req.body.targetId, 10);
+    const sourceIds = [...new Set((req.body.sourceIds || []).map(id => parseInt(id, 10)))]
+        .filter(id => Number.isInteger(id) && id !== targetId);
+
+    if (!Number.isInteger(targetId) || sourceIds.length === 0) {
+        return res.status(400).json({ error: 'A target customer and at least one other customer are required' });
+    }
+
+    try {
+        const result = await withTransaction(async (client) => {
+            const merged = await mergeCustomers(client, targetId, sourceIds, req.body.createMapping === true, req.user.id);
+            await recordAudit(client, req.user.id, 'merge', 'customer', targetId, null, {
+                operation_id: merged.id, merged_ids: sourceIds,
+                records_moved: merged.recordsMoved, mappings_created: merged.mappingsCreated
+            });
+            return merged;
+        });
+        if (result.mappingsCreated > 0) {
+            await loadMappingCache();
+        }
+        res.json({ success: true, operationId: result.id, recordsMoved: result.recordsMoved, mappingsCreated: result.mappingsCreated });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Sales rows of a customer, for choosing orders to split off
+app.get('/api/customers/:id/orders', requireAuth, async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT id, TO_CHAR(order_date, 'YYYY-MM-DD') AS order_date, order_reference, title, isbn13,
+                    quantity, total, currency, transaction_type, original_reference, upload_id
+             FROM records
+             WHERE customer_id = $1
+             ORDER BY order_date DESC NULLS LAST, id DESC`,
+            [req.params.id]
+        );
+        res.json(result.rows);
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Split selected orders out to a new customer
+app.post('/api/customers/:id/split', requireEditor, async (req, res) => {
+    const name = cleanCustomerName(req.body.name);
+    const recordIds = [...new Set((req.body.recordIds || []).map(id => parseInt(id, 10)))]
+        .filter(Number.isInteger);
+
+    if (!name) {
+        return res.status(400).json({ error: 'A name for the new customer is required' });
+    }
+    if (recordIds.length === 0) {
+        return res.status(400).json({ error: 'Select at least one order to split off' });
+    }
+
+    try {
+        const result = await withTransaction(async (client) => {
+            const split = await splitCustomer(client, parseInt(req.params.id, 10), name, recordIds, req.user.id);
+            await recordAudit(client, req.user.id, 'split', 'customer', req.params.id, null, {
+                operation_id: split.id, new_customer_id: split.customerId, name, record_ids: recordIds
+            });
+            return split;
+        });
+        res.json({ success: true, operationId: result.id, customerId: result.customerId, recordsMoved: result.recordsMoved });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Merge and split history, optionally for one customer
+app.get('/api/customer-operations', requireAuth, async (req, res) => {
+    const customerId = req.query.customerId ? parseInt(req.query.customerId, 10) : null;
+
+    try {
+        const result = await pool.query(
+            `SELECT o.id, o.operation, o.target_name, o.source_names, o.record_count,
+                    jsonb_array_length(COALESCE(o.snapshot->'mappings', '[]')) AS mappings_created,
+                    o.performed_at, o.reverted_at,
+                    pu.username AS performed_by, ru.username AS reverted_by
+             FROM customer_operations o
+             LEFT JOIN users pu ON pu.id = o.performed_by
+             LEFT JOIN users ru ON ru.id = o.reverted_by
+             WHERE $1::int IS NULL OR $1 = ANY(o.customer_ids)
+             ORDER BY o.id DESC
+             LIMIT 100`,
+            [Number.isInteger(customerId) ? customerId : null]
+        );
+        res.json(result.rows);
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Revert a merge or split
+app.post('/api/customer-operations/:id/revert', requireEditor, async (req, res) => {
+    try {
+        const operation = await withTransaction(async (client) => {
+            const result = await client.query('SELECT * FROM customer_operations WHERE id = $1 FOR UPDATE', [req.params.id]);
+            if (result.rows.length === 0) {
+                throw httpError(404, 'Operation not found');
+            }
+            if (result.rows[0].reverted_at) {
+                throw httpError(400, 'Operation has already been reverted');
+            }
+            await revertCustomerOperation(client, result.rows[0], req.user.id);
+            await recordAudit(client, req.user.id, 'revert', 'customer_operation', req.params.id, null, {
+                operation: result.rows[0].operation, customer_ids: result.rows[0].customer_ids
+            });
+            return result.rows[0];
+        });
+        if (operation.operation === 'merge' && operation.snapshot.mappings.length > 0) {
+            await loadMappingCache();
+        }
+        res.json({ success: true });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        if (err.code === '23505') {
+            return res.status(409).json({ error: 'A customer with one of the original names exists again' });
+        }
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Exclude/Include customers
+app.post('/api/customers/exclude', requireEditor, async (req, res) => {
+    const { customers, excluded } = req.body;
+
+    try {
+        await withTransaction(async (client) => {
+            for (const customerName of customers) {
+                const before = await client.query(
+                    `SELECT c.id, COALESCE(ce.excluded, false) AS excluded
+                     FROM customers c
+                     LEFT JOIN customer_exclusions ce ON ce.customer_name = c.name
+                     WHERE c.name = $1`,
+                    [customerName]
+                );
+                await client.query(
+                    `INSERT INTO customer_exclusions (customer_name, excluded) 
+                     VALUES ($1, $2) 
+                     ON CONFLICT (customer_name) 
+                     DO UPDATE SET excluded = $2, updated_at = CURRENT_TIMESTAMP`,
+                    [customerName, excluded]
+                );
+                const customer = before.rows[0];
+                await recordAudit(client, req.user.id, excluded ? 'exclude' : 'include', 'customer',
+                    customer ? customer.id : customerName,
+                    { excluded: customer ? customer.excluded : false }, { excluded: excluded === true });
+            }
+        });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Get titles for autocomplete
+app.get('/api/titles', requireAuth, async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT DISTINCT title FROM records WHERE title IS NOT NULL ORDER BY title'
+        );
+        res.json(result.rows);
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Get publishers in the Booksonix catalogue with their titles. Titles are
+// the sales record titles linked to the publisher's products, i.e. the
+// values the report's title filter matches.
+app.get('/api/publishers', requireAuth, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT MIN(TRIM(b.publisher)) AS publisher,
+                   COUNT(DISTINCT b.id) AS product_count,
+                   COALESCE(ARRAY_AGG(DISTINCT r.title) FILTER (WHERE r.title IS NOT NULL AND r.title <> ''), '{}') AS titles
+            FROM booksonix_records b
+            LEFT JOIN records r ON r.booksonix_id = b.id
+            WHERE TRIM(COALESCE(b.publisher, '')) <> ''
+            GROUP BY UPPER(TRIM(b.publisher))
+            ORDER BY MIN(TRIM(b.publisher))
+        `);
+        res.json(result.rows);
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Generate report
+app.post('/api/generate-report', requireAuth, async (req, res) => {
+    try {
+        const result = await runStockistReport(req.body);
+        res.json(result);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Generate report error:', error);
+        res.status(500).json({ error: 'Failed to generate report: ' + error.message });
+    }
+});
+
+// Export a report as XLSX, PDF, CSV or JSON. Takes the same parameters as
+// /api/generate-report, so any saved set of parameters reproduces the file.
+app.post('/api/reports/export', requireAuth, async (req, res) => {
+    const format = req.body.format || 'xlsx';
+    if (!REPORT_EXPORT_FORMATS[format]) {
+        return res.status(400).json({ error: 'Invalid export format' });
+    }
+
+    try {
+        const report = await runStockistReport(req.body);
+        const buffer = await renderReportExport(report, format);
+
+        res.attachment(reportExportFilename(report, format));
+        res.type(REPORT_EXPORT_FORMATS[format].contentType);
+        res.send(buffer);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Export report error:', error);
+        res.status(500).json({ error: 'Failed to export report: ' + error.message });
+    }
+});
+
+// Lapsed stockists: customers whose ordering has dropped off
+app.get('/api/reports/lapsed', requireAuth, async (req, res) => {
+    try {
+        const options = parseLapsedOptions(req.query);
+        const customers = await findLapsedStockists(options);
+        res.json({ options, totalCustomers: customers.length, customers });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Lapsed stockists error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+app.get('/api/reports/lapsed/export', requireAuth, async (req, res) => {
+    const format = req.query.format === 'csv' ? 'csv' : 'xlsx';
+
+    try {
+        const options = parseLapsedOptions(req.query);
+        const sheet = lapsedStockistSheet(await findLapsedStockists(options), options.currency);
+
+        res.attachment(`Lapsed_Stockists_${options.asOf}.${format}`);
+
+        if (format === 'xlsx') {
+            const workbook = xlsx.utils.book_new();
+            xlsx.utils.book_append_sheet(workbook, sheet, 'Lapsed Stockists');
+            res.type(REPORT_EXPORT_FORMATS.xlsx.contentType);
+            return res.send(xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+        }
+
+        res.type('text/csv');
+        res.send('\uFEFF' + xlsx.utils.sheet_to_csv(sheet));
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Lapsed stockists export error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Saved report definitions
+app.get('/api/report-definitions', requireAuth, async (req, res) => {
+    try {
+        const result = await pool.query(`${REPORT_DEFINITION_SELECT} ORDER BY LOWER(d.name), d.id`);
+        // Relative ranges come with today's dates so the page can show them
+        const dateRanges = {};
+        Object.entries(REPORT_DATE_RANGES).forEach(([key, label]) => {
+            dateRanges[key] = key === 'custom' ? { label } : { label, ...resolveReportDateRange({ date_range: key }) };
+        });
+        res.json({ definitions: result.rows, dateRanges });
+    } catch (err) {
+        console.error('Error loading report definitions:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+app.get('/api/report-definitions/:id', requireAuth, async (req, res) => {
+    try {
+        const definition = await loadReportDefinition(req.params.id);
+        if (!definition) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        res.json({ ...definition, resolved: resolveReportDateRange(definition) });
+    } catch (err) {
+        console.error('Error loading report definition:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+app.post('/api/report-definitions', requireEditor, async (req, res) => {
+    const { definition, error } = validateReportDefinition(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO report_definitions
+                (name, owner_id, publisher, all_titles, titles, products, date_range, start_date, end_date,
+                 exclusions, export_format, schedule, schedule_enabled, currency)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+             RETURNING id`,
+            [definition.name, req.user.id, definition.publisher, definition.all_titles,
+             JSON.stringify(definition.titles), JSON.stringify(definition.products),
+             definition.date_range, definition.start_date, definition.end_date,
+             JSON.stringify(definition.exclusions), definition.export_format,
+             definition.schedule, definition.schedule_enabled, definition.currency]
+        );
+
+        const saved = await loadReportDefinition(result.rows[0].id);
+        await recordAudit(pool, req.user.id, 'create', 'report_definition', saved.id, null, definition);
+        scheduleReportDefinition(saved);
+        res.json({ success: true, definition: saved });
+    } catch (err) {
+        if (err.code === '23505') {
+            res.status(400).json({ error: 'You already have a report with this name' });
+        } else {
+            console.error('Error creating report definition:', err);
+            res.status(500).json({ error: 'Database error' });
+        }
+    }
+});
+
+app.put('/api/report-definitions/:id', requireEditor, async (req, res) => {
+    const { definition, error } = validateReportDefinition(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const existing = await loadReportDefinition(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        if (!canManageReportDefinition(req.user, existing)) {
+            return res.status(403).json({ error: 'Only the owner or an admin can change this report' });
+        }
+
+        await pool.query(
+            `UPDATE report_definitions
+             SET name = $1, publisher = $2, all_titles = $3, titles = $4, products = $5, date_range = $6,
+                 start_date = $7, end_date = $8, exclusions = $9, export_format = $10, schedule = $11,
+                 schedule_enabled = $12, currency = $13, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $14`,
+            [definition.name, definition.publisher, definition.all_titles,
+             JSON.stringify(definition.titles), JSON.stringify(definition.products),
+             definition.date_range, definition.start_date, definition.end_date,
+             JSON.stringify(definition.exclusions), definition.export_format,
+             definition.schedule, definition.schedule_enabled, definition.currency, existing.id]
+        );
+
+        const saved = await loadReportDefinition(existing.id);
+        const before = {};
+        Object.keys(definition).forEach(field => { before[field] = existing[field]; });
+        await recordAudit(pool, req.user.id, 'update', 'report_definition', existing.id, before, definition);
+        scheduleReportDefinition(saved);
+        res.json({ success: true, definition: saved });
+    } catch (err) {
+        if (err.code === '23505') {
+            res.status(400).json({ error: 'You already have a report with this name' });
+        } else {
+            console.error('Error updating report definition:', err);
+            res.status(500).json({ error: 'Database error' });
+        }
+    }
+});
+
+app.delete('/api/report-definitions/:id', requireEditor, async (req, res) => {
+    try {
+        const existing = await loadReportDefinition(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        if (!canManageReportDefinition(req.user, existing)) {
+            return res.status(403).json({ error: 'Only the owner or an admin can delete this report' });
+        }
+
+        unscheduleReportDefinition(existing.id);
+        await deleteReportRunFiles(existing.id);
+        await pool.query('DELETE FROM report_definitions WHERE id = $1', [existing.id]);
+        await recordAudit(pool, req.user.id, 'delete', 'report_definition', existing.id,
+            { name: existing.name, publisher: existing.publisher, owner_id: existing.owner_id });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Error deleting report definition:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Regenerate a saved report with its date range resolved for today
+app.post('/api/report-definitions/:id/generate', requireAuth, async (req, res) => {
+    try {
+        const definition = await loadReportDefinition(req.params.id);
+        if (!definition) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        const result = await runStockistReport(reportDefinitionParameters(definition));
+        res.json({ ...result, definition });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Generate saved report error:', error);
+        res.status(500).json({ error: 'Failed to generate report: ' + error.message });
+    }
+});
+
+// Render and store an export now, as a scheduled run would
+app.post('/api/report-definitions/:id/run', requireEditor, async (req, res) => {
+    try {
+        const definition = await loadReportDefinition(req.params.id);
+        if (!definition) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        const run = await runReportDefinition(definition, 'manual', req.user.id);
+        res.status(run.status === 'failed' ? 400 : 200).json({ success: run.status !== 'failed', run });
+    } catch (err) {
+        console.error('Error running report definition:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Stored exports of a saved report, newest first
+app.get('/api/report-definitions/:id/runs', requireAuth, async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT r.id, r.trigger, r.status, r.export_format, r.start_date, r.end_date,
+                    r.customer_count, r.file_name, r.file_path, r.file_size, r.error, r.created_at,
+                    u.username AS run_by
+             FROM report_runs r
+             LEFT JOIN users u ON u.id = r.run_by
+             WHERE r.definition_id = $1
+             ORDER BY r.created_at DESC, r.id DESC
+             LIMIT 100`,
+            [req.params.id]
+        );
+        // Export files can disappear with the server's disk; the path stays private
+        res.json(result.rows.map(({ file_path, ...run }) => ({
+            ...run,
+            file_available: !!file_path && fs.existsSync(file_path)
+        })));
+    } catch (err) {
+        console.error('Error loading report runs:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
 });
 
-app.get('/data-upload/page2', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'data-upload-page2.html'));
+app.get('/api/report-runs/:id/download', requireAuth, async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT file_name, file_path FROM report_runs WHERE id = $1',
+            [req.params.id]
+        );
+        const run = result.rows[0];
+        if (!run || !run.file_path) {
+            return res.status(404).json({ error: 'Export not found' });
+        }
+        if (!fs.existsSync(run.file_path)) {
+            return res.status(410).json({
+                error: 'This export file is no longer on the server. Run the report again to create a new export.'
+            });
+        }
+
+        res.download(path.resolve(run.file_path), run.file_name);
+    } catch (err) {
+        console.error('Error downloading report run:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
 });
 
-app.get('/data-upload/page3', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'data-upload-page3.html'));
-});
+// Update record
+app.post('/api/update-record', requireEditor, async (req, res) => {
+    const { id, customer_name, country, city, title } = req.body;
 
-app.get('/data-upload/page4', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'data-upload-page4.html'));
+    try {
+        const found = await withTransaction(async (client) => {
+            const existing = await client.query(
+                'SELECT customer_name, country, city, title FROM records WHERE id = $1 FOR UPDATE',
+                [id]
+            );
+            if (existing.rows.length === 0) {
+                return false;
+            }
+            await client.query(
+                'UPDATE records SET customer_name = $1, country = $2, city = $3, title = $4, customer_id = NULL WHERE id = $5',
+                [customer_name, country, city, title, id]
+            );
+            await recordAudit(client, req.user.id, 'update', 'record', id, existing.rows[0], { customer_name, country, city, title });
+            await linkRecordsToCustomers(client, { recordId: id });
+            return true;
+        });
+        if (!found) {
+            return res.status(404).json({ error: 'Record not found' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
 });
 
-app.get('/data-upload/page5', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'data-upload-page5.html'));
+// Settings endpoints
+app.get('/api/mappings', requireAuth, async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT id, original_name, display_name, match_type, created_at, updated_at FROM customer_mappings ORDER BY original_name'
+        );
+        res.json(result.rows);
+    } catch (err) {
+        console.error('Error loading mappings:', err);
+        res.status(500).json({ error: 'Error loading mappings' });
+    }
 });
 
-app.get('/data-upload/page6', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'data-upload-page6.html'));
-});
+// Create mapping - optionally rename existing sales rows to the display name
+app.post('/api/mappings', requireAdmin, async (req, res) => {
+    const original_name = (req.body.original_name || '').trim();
+    const display_name = (req.body.display_name || '').trim();
+    const match_type = req.body.match_type || 'exact';
+    const applyRetroactively = req.body.apply_retroactively === true;
 
-// =============================================
-// BOOKSONIX ROUTES - UPDATED TO USE SKU
-// =============================================
+    const validationError = validateMappingRule(original_name, display_name, match_type);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
 
-// Page route for Booksonix
-app.get('/booksonix', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'booksonix.html'));
-});
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
 
-// Upload Booksonix data - UPDATED TO CAPTURE CORRECT COLUMNS
-app.post('/api/booksonix/upload', upload.single('booksonixFile'), async (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ error: 'No file uploaded' });
-    }
+        const result = await client.query(
+            'INSERT INTO customer_mappings (original_name, display_name, match_type) VALUES ($1, $2, $3) RETURNING id',
+            [original_name, display_name, match_type]
+        );
 
-    console.log('Processing Booksonix file:', req.file.originalname);
+        let recordsUpdated = 0;
+        if (applyRetroactively) {
+            const fromNames = await findRecordNamesForRule(client, { original_name, match_type });
+            recordsUpdated = await remapCustomerRecords(client, fromNames, display_name);
+        }
+        await recordAudit(client, req.user.id, 'create', 'mapping', result.rows[0].id, null,
+            { original_name, display_name, match_type, records_updated: recordsUpdated });
 
-    try {
-        const workbook = xlsx.readFile(req.file.path);
-        const sheetName = workbook.SheetNames[0];
-        const data = xlsx.utils.sheet_to_json(workbook.Sheets[sheetName]);
+        await client.query('COMMIT');
+        await loadMappingCache();
 
-        console.log('Total rows in Excel file:', data.length);
-        if (data.length > 0) {
-            console.log('Sample row columns:', Object.keys(data[0]));
-            console.log('First row data:', data[0]);
+        res.json({ success: true, id: result.rows[0].id, recordsUpdated });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (err.code === '23505') {
+            res.status(400).json({ error: 'A mapping for this original name already exists' });
+        } else {
+            console.error('Error creating mapping:', err);
+            res.status(500).json({ error: 'Database error' });
         }
+    } finally {
+        client.release();
+    }
+});
 
-        let newRecords = 0;
-        let duplicates = 0;
-        let errors = 0;
-        let skippedNoSku = 0;
-
-        for (const row of data) {
-            // Look for SKU in multiple possible column names
-            const sku = row['SKU'] || row['sku'] || row['Sku'] || 
-                       row['Product SKU'] || row['Product Code'] || 
-                       row['Item Code'] || row['Code'] || '';
-            
-            if (!sku) {
-                console.log('Skipping row - no SKU found. Row data:', Object.keys(row));
-                skippedNoSku++;
-                errors++;
-                continue; // Skip records without SKU
-            }
+// Update mapping - retroactive mode moves rows stored under the old display
+// name (or the raw original name) onto the new display name
+app.put('/api/mappings/:id', requireAdmin, async (req, res) => {
+    const { id } = req.params;
+    const original_name = (req.body.original_name || '').trim();
+    const display_name = (req.body.display_name || '').trim();
+    const match_type = req.body.match_type || 'exact';
+    const applyRetroactively = req.body.apply_retroactively === true;
 
-            // Get ISBN from column A 'ISBN-13'
-            const isbn = row['ISBN-13'] || row['ISBN13'] || row['isbn-13'] || row['ISBN'] || row['EAN'] || '';
-
-            // Get Title
-            const title = row['Title'] || row['TITLE'] || row['Product Title'] || row['title'] || row['Product'] || '';
-
-            // Get Publisher from column D 'Publishers'
-            const publisher = row['Publishers'] || row['Publisher'] || row['publisher'] || row['PUBLISHER'] || '';
-
-            // Get Price from column E 'Prices' and clean it
-            let price = 0;
-            const priceValue = row['Prices'] || row['Price'] || row['PRICE'] || row['RRP'] || row['price'] || '';
-            if (priceValue) {
-                // Remove GBP, £, spaces, and any other non-numeric characters except decimal point
-                const cleanPrice = String(priceValue)
-                    .replace(/GBP/gi, '')
-                    .replace(/£/g, '')
-                    .replace(/,/g, '')
-                    .replace(/[^\d.]/g, '')
-                    .trim();
-                price = parseFloat(cleanPrice) || 0;
-            }
+    const validationError = validateMappingRule(original_name, display_name, match_type);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
 
-            try {
-                // Try to insert, but update if SKU already exists
-                const result = await pool.query(
-                    `INSERT INTO booksonix_records 
-                    (sku, isbn, title, author, publisher, price, quantity, format, publication_date, description, category) 
-                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-                    ON CONFLICT (sku) 
-                    DO UPDATE SET 
-                        isbn = COALESCE(NULLIF(EXCLUDED.isbn, ''), booksonix_records.isbn),
-                        title = EXCLUDED.title,
-                        publisher = EXCLUDED.publisher,
-                        price = EXCLUDED.price,
-                        last_updated = CURRENT_TIMESTAMP
-                    RETURNING id, (xmax = 0) AS inserted`,
-                    [
-                        sku,
-                        isbn || null, // Store null if no ISBN
-                        title,
-                        '', // Empty author - field to be removed
-                        publisher,
-                        price,
-                        0, // Zero quantity - field to be removed
-                        '', // Empty format
-                        null, // No publication date
-                        '', // Empty description
-                        '' // Empty category
-                    ]
-                );
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
 
-                if (result.rows[0].inserted) {
-                    newRecords++;
-                    console.log(`Inserted new record: SKU=${sku}, ISBN=${isbn}, Title=${title}, Publisher=${publisher}, Price=£${price}`);
-                } else {
-                    duplicates++;
-                    console.log(`Updated existing record with SKU: ${sku}`);
-                }
-            } catch (err) {
-                console.error('Error inserting Booksonix record with SKU', sku, ':', err.message);
-                errors++;
-            }
+        const existing = await client.query(
+            'SELECT original_name, display_name, match_type FROM customer_mappings WHERE id = $1 FOR UPDATE',
+            [id]
+        );
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Mapping not found' });
         }
 
-        // Clean up uploaded file
-        fs.unlinkSync(req.file.path);
+        await client.query(
+            `UPDATE customer_mappings
+             SET original_name = $1, display_name = $2, match_type = $3, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $4`,
+            [original_name, display_name, match_type, id]
+        );
 
-        console.log('Upload summary:', {
-            totalRows: data.length,
-            newRecords,
-            duplicates,
-            errors,
-            skippedNoSku
-        });
+        let recordsUpdated = 0;
+        if (applyRetroactively) {
+            const previous = existing.rows[0];
+            const fromNames = await findRecordNamesForRule(client, { original_name, match_type });
 
-        res.json({ 
-            success: true, 
-            message: `Processed ${data.length} records. New: ${newRecords}, Updated: ${duplicates}, Errors: ${errors}`,
-            newRecords: newRecords,
-            duplicates: duplicates,
-            errors: errors,
-            skippedNoSku: skippedNoSku
-        });
+            // Rows under the old display name can only be moved if no other
+            // mapping still produces that name
+            const shared = await client.query(
+                'SELECT 1 FROM customer_mappings WHERE display_name = $1 AND id <> $2 LIMIT 1',
+                [previous.display_name, id]
+            );
+            if (shared.rows.length === 0) {
+                fromNames.push(previous.display_name);
+            }
 
-    } catch (error) {
-        console.error('Booksonix upload error:', error);
-        if (fs.existsSync(req.file.path)) {
-            fs.unlinkSync(req.file.path);
+            recordsUpdated = await remapCustomerRecords(client, fromNames, display_name);
         }
-        res.status(500).json({ error: error.message });
-    }
-});
+        await recordAudit(client, req.user.id, 'update', 'mapping', id, existing.rows[0],
+            { original_name, display_name, match_type, records_updated: recordsUpdated });
 
-// Get Booksonix records
-app.get('/api/booksonix/records', async (req, res) => {
-    try {
-        const result = await pool.query(
-            'SELECT * FROM booksonix_records ORDER BY upload_date DESC LIMIT 500'
-        );
-        
-        res.json({ records: result.rows });
+        await client.query('COMMIT');
+        await loadMappingCache();
+
+        res.json({ success: true, recordsUpdated });
     } catch (err) {
-        console.error('Database error:', err);
-        res.status(500).json({ error: 'Database error' });
+        await client.query('ROLLBACK');
+        if (err.code === '23505') {
+            res.status(400).json({ error: 'A mapping for this original name already exists' });
+        } else {
+            console.error('Error updating mapping:', err);
+            res.status(500).json({ error: 'Database error' });
+        }
+    } finally {
+        client.release();
     }
 });
 
-// Get Booksonix statistics - UPDATED TO COUNT UNIQUE SKUs
-app.get('/api/booksonix/stats', async (req, res) => {
+// Suggested merges - clusters near-duplicate customer names in records.
+// Names with the same normalised form always cluster; otherwise names are
+// joined when their similarity reaches the threshold.
+app.get('/api/mappings/suggestions', requireAdmin, async (req, res) => {
+    const threshold = Math.min(Math.max(parseFloat(req.query.threshold) || 0.8, 0.5), 1);
+
     try {
         const result = await pool.query(`
-            SELECT 
-                COUNT(*) as total_records,
-                COUNT(DISTINCT sku) as unique_skus,
-                SUM(quantity) as total_quantity,
-                COUNT(DISTINCT publisher) as publishers
-            FROM booksonix_records
+            SELECT customer_name, COUNT(*) as record_count
+            FROM records
+            WHERE customer_name IS NOT NULL
+            GROUP BY customer_name
         `);
-        
-        res.json({
-            totalRecords: result.rows[0].total_records || 0,
-            uniqueSKUs: result.rows[0].unique_skus || 0,
-            totalQuantity: result.rows[0].total_quantity || 0,
-            totalPublishers: result.rows[0].publishers || 0
+
+        // Group names that normalise identically
+        const groups = new Map();
+        for (const row of result.rows) {
+            const key = normalizeCustomerName(row.customer_name);
+            if (!key) continue;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push({
+                customer_name: row.customer_name,
+                record_count: parseInt(row.record_count)
+            });
+        }
+
+        // Union-find over the normalised keys
+        const keys = Array.from(groups.keys());
+        const parent = keys.map((_, i) => i);
+        const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+        const scores = new Map();
+
+        for (let i = 0; i < keys.length; i++) {
+            for (let j = i + 1; j < keys.length; j++) {
+                const a = keys[i].length;
+                const b = keys[j].length;
+                // Skip pairs whose length difference alone rules out a match
+                if ((2 * Math.min(a, b)) / (a + b) < threshold) continue;
+
+                const score = nameSimilarity(keys[i], keys[j]);
+                if (score >= threshold) {
+                    const rootA = find(i);
+                    const rootB = find(j);
+                    parent[rootB] = rootA;
+                    scores.set(rootA, Math.min(scores.get(rootA) ?? 1, scores.get(rootB) ?? 1, score));
+                }
+            }
+        }
+
+        const clusters = new Map();
+        keys.forEach((key, i) => {
+            const root = find(i);
+            if (!clusters.has(root)) clusters.set(root, []);
+            clusters.get(root).push(...groups.get(key));
         });
+
+        const suggestions = [];
+        for (const [root, members] of clusters) {
+            if (members.length < 2) continue;
+            members.sort((a, b) => b.record_count - a.record_count);
+            suggestions.push({
+                suggested_name: members[0].customer_name,
+                similarity: Math.round((scores.get(root) ?? 1) * 100) / 100,
+                total_records: members.reduce((sum, m) => sum + m.record_count, 0),
+                members
+            });
+        }
+        suggestions.sort((a, b) => b.total_records - a.total_records);
+
+        res.json({ threshold, suggestions });
     } catch (err) {
-        console.error('Database error:', err);
+        console.error('Error building merge suggestions:', err);
         res.status(500).json({ error: 'Database error' });
     }
 });
 
-// Temporary endpoint to check Booksonix table status
-app.get('/api/booksonix/check-table', async (req, res) => {
-    try {
-        // Check table structure
-        const columns = await pool.query(`
-            SELECT column_name, data_type, is_nullable, column_default
-            FROM information_schema.columns
-            WHERE table_name = 'booksonix_records'
-            ORDER BY ordinal_position;
-        `);
-        
-        // Check constraints
-        const constraints = await pool.query(`
-            SELECT constraint_name, constraint_type
-            FROM information_schema.table_constraints
-            WHERE table_name = 'booksonix_records';
-        `);
-        
-        // Check record count
-        const count = await pool.query(`SELECT COUNT(*) as total FROM booksonix_records`);
-        
-        // Check sample records
-        const samples = await pool.query(`SELECT * FROM booksonix_records LIMIT 5`);
-        
-        res.json({
-            columns: columns.rows,
-            constraints: constraints.rows,
-            totalRecords: count.rows[0].total,
-            sampleRecords: samples.rows,
-            status: 'Table check complete'
-        });
-        
-    } catch (err) {
-        res.status(500).json({
-            error: 'Failed to check table',
-            message: err.message,
-            detail: err.detail
-        });
+// Confirm a suggested merge - maps every name onto the display name, points
+// existing mappings at it and moves the historical sales rows across
+app.post('/api/mappings/merge', requireAdmin, async (req, res) => {
+    const display_name = cleanCustomerName(req.body.display_name);
+    const names = Array.isArray(req.body.names)
+        ? req.body.names.map(cleanCustomerName).filter(Boolean)
+        : [];
+
+    if (!display_name || names.length === 0) {
+        return res.status(400).json({ error: 'Display name and at least one customer name are required' });
     }
-});
 
-// Temporary endpoint to manually reset the Booksonix table (USE WITH CAUTION!)
-app.post('/api/booksonix/reset-table', async (req, res) => {
+    const client = await pool.connect();
     try {
-        // Only allow this in development or with a special key
-        const resetKey = req.body.resetKey;
-        if (resetKey !== 'RESET_BOOKSONIX_2024') {
-            return res.status(403).json({ error: 'Invalid reset key' });
+        await client.query('BEGIN');
+
+        const sources = names.filter(name => name !== display_name);
+        for (const name of sources) {
+            await client.query(
+                `INSERT INTO customer_mappings (original_name, display_name, match_type)
+                 VALUES ($1, $2, 'exact')
+                 ON CONFLICT (original_name)
+                 DO UPDATE SET display_name = EXCLUDED.display_name, match_type = 'exact', updated_at = CURRENT_TIMESTAMP`,
+                [name, display_name]
+            );
         }
-        
-        // Drop and recreate the table
-        await pool.query(`DROP TABLE IF EXISTS booksonix_records`);
-        
-        await pool.query(`
-            CREATE TABLE booksonix_records (
-                id SERIAL PRIMARY KEY,
-                sku VARCHAR(100) UNIQUE NOT NULL,
-                isbn VARCHAR(50),
-                title VARCHAR(500),
-                author VARCHAR(500),
-                publisher VARCHAR(500),
-                price DECIMAL(10,2),
-                quantity INTEGER DEFAULT 0,
-                format VARCHAR(100),
-                publication_date DATE,
-                description TEXT,
-                category VARCHAR(200),
-                upload_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-        
-        // Create indexes
-        await pool.query(`CREATE INDEX idx_booksonix_sku ON booksonix_records(sku)`);
-        await pool.query(`CREATE INDEX idx_booksonix_isbn ON booksonix_records(isbn)`);
-        
-        res.json({
-            success: true,
-            message: 'Booksonix table has been reset with SKU-based structure'
-        });
-        
-    } catch (err) {
-        res.status(500).json({
-            error: 'Failed to reset table',
-            message: err.message
-        });
-    }
-});
 
-// =============================================
-// API ROUTES
-// =============================================
+        await client.query(
+            `UPDATE customer_mappings SET display_name = $1, updated_at = CURRENT_TIMESTAMP
+             WHERE display_name = ANY($2::text[])`,
+            [display_name, sources]
+        );
 
-// Authentication endpoint
-app.post('/api/login', async (req, res) => {
-    const { username, password } = req.body;
+        const recordsUpdated = await remapCustomerRecords(client, sources, display_name);
+        await recordAudit(client, req.user.id, 'merge', 'mapping', null, null,
+            { display_name, names: sources, records_updated: recordsUpdated });
 
-    console.log('Login attempt for username:', username);
+        await client.query('COMMIT');
+        await loadMappingCache();
 
-    if (!username || !password) {
-        return res.status(400).json({ error: 'Username and password required' });
+        res.json({ success: true, mappingsCreated: sources.length, recordsUpdated });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error merging customers:', err);
+        res.status(500).json({ error: 'Database error' });
+    } finally {
+        client.release();
     }
+});
+
+// Delete mapping - existing sales rows keep their current name
+app.delete('/api/mappings/:id', requireAdmin, async (req, res) => {
+    const { id } = req.params;
 
     try {
         const result = await pool.query(
-            'SELECT * FROM users WHERE username = $1 OR email = $1',
-            [username]
+            'DELETE FROM customer_mappings WHERE id = $1 RETURNING original_name, display_name, match_type',
+            [id]
         );
-
-        console.log('Found users:', result.rows.length);
-
-        if (result.rows.length === 0) {
-            console.log('No user found with username:', username);
-            return res.status(401).json({ error: 'Invalid credentials' });
-        }
-
-        const user = result.rows[0];
-        console.log('User found:', user.username, 'Role:', user.role);
-        
-        const validPassword = await bcrypt.compare(password, user.password);
-        console.log('Password valid:', validPassword);
-        
-        if (!validPassword) {
-            console.log('Invalid password for user:', username);
-            return res.status(401).json({ error: 'Invalid credentials' });
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Mapping not found' });
         }
+        await recordAudit(pool, req.user.id, 'delete', 'mapping', id, result.rows[0]);
 
-        // Update last login
-        await pool.query(
-            'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
-            [user.id]
-        );
-
-        console.log('Login successful for:', username);
+        await loadMappingCache();
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Error deleting mapping:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
 
+// Import profile endpoints
+app.get('/api/import-profiles', requireAuth, async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM import_profiles ORDER BY target, is_builtin DESC, name');
         res.json({
-            success: true,
-            user: {
-                id: user.id,
-                username: user.username,
-                email: user.email,
-                role: user.role
-            }
+            profiles: result.rows,
+            fields: {
+                sales: importFieldList('sales'),
+                booksonix: importFieldList('booksonix')
+            },
+            dateFormats: DATE_FORMATS
         });
     } catch (err) {
-        console.error('Login database error:', err);
-        res.status(500).json({ error: 'Database error during login' });
+        console.error('Error loading import profiles:', err);
+        res.status(500).json({ error: 'Error loading import profiles' });
     }
 });
 
-// Upload endpoint
-app.post('/upload', upload.single('excelFile'), async (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ error: 'No file uploaded' });
+app.post('/api/import-profiles', requireAdmin, async (req, res) => {
+    const { profile, error } = validateImportProfile(req.body);
+    if (error) {
+        return res.status(400).json({ error });
     }
 
-    const dataType = req.body.dataType || 'gazelle';
-    console.log('Processing file:', req.file.originalname, 'Type:', dataType);
-
-    try {
-        let recordsProcessed = 0;
-        let duplicatesSkipped = 0;
-
-        if (dataType === 'shopify' || req.file.originalname.toLowerCase().endsWith('.csv')) {
-            // Process CSV file (Shopify format)
-            const results = [];
-            const stream = fs.createReadStream(req.file.path)
-                .pipe(csv())
-                .on('data', (data) => results.push(data))
-                .on('end', async () => {
-                    for (const row of results) {
-                        const orderReference = row['Name'] || row['Order Name'] || '';
-                        const lineItem = row['Lineitem name'] || '';
-                        
-                        if (orderReference) {
-                            const lineIdentifier = `${orderReference}_${lineItem}`;
-                            
-                            try {
-                                const insertResult = await pool.query(
-                                    `INSERT INTO records 
-                                    (order_date, customer_name, title, book_ean, quantity, total, country, city, order_reference, line_identifier) 
-                                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-                                    ON CONFLICT (order_reference, line_identifier) DO NOTHING
-                                    RETURNING id`,
-                                    [
-                                        row['Created at'] || null,
-                                        applyMapping(row['Shipping Name'] || 'Unknown'),
-                                        row['Lineitem name'] || '',
-                                        row['Lineitem sku'] || '',
-                                        parseInt(row['Lineitem quantity']) || 0,
-                                        parseFloat(row['Lineitem price']) || 0,
-                                        'Unknown',
-                                        'Unknown',
-                                        orderReference,
-                                        lineIdentifier
-                                    ]
-                                );
-                                
-                                if (insertResult.rows.length > 0) {
-                                    recordsProcessed++;
-                                } else {
-                                    duplicatesSkipped++;
-                                }
-                            } catch (err) {
-                                console.error('Error inserting CSV row:', err);
-                            }
-                        }
-                    }
-                    
-                    await logUpload(req.file.originalname, recordsProcessed);
-                    fs.unlinkSync(req.file.path);
-                    
-                    res.json({ 
-                        success: true, 
-                        message: `Uploaded ${recordsProcessed} records, ${duplicatesSkipped} duplicates skipped`,
-                        inserted: recordsProcessed,
-                        skipped: duplicatesSkipped
-                    });
-                });
+    try {
+        const result = await pool.query(
+            `INSERT INTO import_profiles (name, target, column_map, date_format, decimal_comma)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING id`,
+            [profile.name, profile.target, JSON.stringify(profile.column_map), profile.date_format, profile.decimal_comma]
+        );
+        await recordAudit(pool, req.user.id, 'create', 'import_profile', result.rows[0].id, null, profile);
+        res.json({ success: true, id: result.rows[0].id });
+    } catch (err) {
+        if (err.code === '23505') {
+            res.status(400).json({ error: 'A profile with this name already exists' });
         } else {
-            // Process Excel file (Gazelle format)
-            const workbook = xlsx.readFile(req.file.path);
-            const sheetName = workbook.SheetNames[0];
-            const data = xlsx.utils.sheet_to_json(workbook.Sheets[sheetName]);
-
-            for (const row of data) {
-                const orderReference = row['Invoice'] || row['Order Reference'] || '';
-                const productTitle = row['Title'] || '';
-                
-                if (orderReference) {
-                    const lineIdentifier = `${orderReference}_${productTitle}`;
-                    
-                    try {
-                        const insertResult = await pool.query(
-                            `INSERT INTO records 
-                            (order_date, customer_name, title, book_ean, quantity, total, country, city, order_reference, line_identifier) 
-                            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-                            ON CONFLICT (order_reference, line_identifier) DO NOTHING
-                            RETURNING id`,
-                            [
-                                row['Date'] || null,
-                                applyMapping(row['Customer'] || 'Unknown'),
-                                productTitle,
-                                row['ISBN'] || row['EAN'] || '',
-                                parseInt(row['Quantity']) || parseInt(row['Qty']) || 0,
-                                parseFloat(row['Total']) || parseFloat(row['Amount']) || 0,
-                                'Unknown',
-                                'Unknown',
-                                orderReference,
-                                lineIdentifier
-                            ]
-                        );
-                        
-                        if (insertResult.rows.length > 0) {
-                            recordsProcessed++;
-                        } else {
-                            duplicatesSkipped++;
-                        }
-                    } catch (err) {
-                        console.error('Error inserting Excel row:', err);
-                    }
-                }
-            }
-
-            await logUpload(req.file.originalname, recordsProcessed);
-            fs.unlinkSync(req.file.path);
-            
-            res.json({ 
-                success: true, 
-                message: `Uploaded ${recordsProcessed} records, ${duplicatesSkipped} duplicates skipped`,
-                inserted: recordsProcessed,
-                skipped: duplicatesSkipped
-            });
-        }
-    } catch (error) {
-        console.error('Upload error:', error);
-        if (fs.existsSync(req.file.path)) {
-            fs.unlinkSync(req.file.path);
+            console.error('Error creating import profile:', err);
+            res.status(500).json({ error: 'Database error' });
         }
-        res.status(500).json({ error: error.message });
     }
 });
 
-// Get records with pagination
-app.get('/records', async (req, res) => {
-    const page = parseInt(req.query.page) || 1;
-    const limit = 500;
-    const offset = (page - 1) * limit;
+app.put('/api/import-profiles/:id', requireAdmin, async (req, res) => {
+    const { id } = req.params;
+    const { profile, error } = validateImportProfile(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
 
     try {
-        // Get total count
-        const countResult = await pool.query('SELECT COUNT(*) FROM records');
-        const totalRecords = parseInt(countResult.rows[0].count);
-        const totalPages = Math.ceil(totalRecords / limit);
-
-        // Get records for current page
-        const result = await pool.query(
-            'SELECT * FROM records ORDER BY id DESC LIMIT $1 OFFSET $2',
-            [limit, offset]
+        const existing = await pool.query(
+            'SELECT name, target, column_map, date_format, decimal_comma FROM import_profiles WHERE id = $1',
+            [id]
         );
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
 
-        res.json({
-            records: result.rows,
-            pagination: {
-                currentPage: page,
-                totalPages: totalPages,
-                totalRecords: totalRecords,
-                recordsPerPage: limit,
-                hasNextPage: page < totalPages,
-                hasPreviousPage: page > 1,
-                recordsOnThisPage: result.rows.length
-            }
-        });
+        await pool.query(
+            `UPDATE import_profiles
+             SET name = $1, target = $2, column_map = $3, date_format = $4, decimal_comma = $5, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $6`,
+            [profile.name, profile.target, JSON.stringify(profile.column_map), profile.date_format, profile.decimal_comma, id]
+        );
+        await recordAudit(pool, req.user.id, 'update', 'import_profile', id, existing.rows[0], profile);
+        res.json({ success: true });
     } catch (err) {
-        console.error('Database error:', err);
-        res.status(500).json({ error: 'Database error' });
+        if (err.code === '23505') {
+            res.status(400).json({ error: 'A profile with this name already exists' });
+        } else {
+            console.error('Error updating import profile:', err);
+            res.status(500).json({ error: 'Database error' });
+        }
     }
 });
 
-// Get upload log
-app.get('/upload-log', async (req, res) => {
+app.delete('/api/import-profiles/:id', requireAdmin, async (req, res) => {
+    const { id } = req.params;
+
     try {
-        const result = await pool.query('SELECT * FROM upload_log ORDER BY upload_date DESC LIMIT 20');
-        res.json(result.rows);
+        const existing = await pool.query(
+            'SELECT name, target, column_map, date_format, decimal_comma, is_builtin FROM import_profiles WHERE id = $1',
+            [id]
+        );
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+        const { is_builtin: isBuiltin, ...before } = existing.rows[0];
+        if (isBuiltin) {
+            return res.status(400).json({ error: 'Built-in profiles cannot be deleted' });
+        }
+
+        await pool.query('DELETE FROM import_profiles WHERE id = $1', [id]);
+        await recordAudit(pool, req.user.id, 'delete', 'import_profile', id, before);
+        res.json({ success: true });
     } catch (err) {
-        console.error('Database error:', err);
+        console.error('Error deleting import profile:', err);
         res.status(500).json({ error: 'Database error' });
     }
 });
 
-// Get customers
-app.get('/api/customers', async (req, res) => {
+app.get('/api/stats', requireAuth, async (req, res) => {
     try {
-        // First, get aggregated data per customer
         const result = await pool.query(`
-            WITH customer_aggregates AS (
-                SELECT 
-                    customer_name,
-                    COUNT(*) as total_orders,
-                    SUM(quantity) as total_quantity,
-                    SUM(total) as total_revenue,
-                    MAX(order_date) as last_order
-                FROM records
-                WHERE customer_name IS NOT NULL
-                GROUP BY customer_name
-            ),
-            customer_locations AS (
-                SELECT DISTINCT ON (customer_name)
-                    customer_name,
-                    country,
-                    city
-                FROM records
-                WHERE customer_name IS NOT NULL
-                ORDER BY customer_name, id DESC
-            )
-            SELECT 
-                ca.customer_name,
-                COALESCE(cl.country, 'Unknown') as country,
-                COALESCE(cl.city, 'Unknown') as city,
-                ca.total_orders,
-                ca.total_quantity,
-                ca.total_revenue,
-                ca.last_order,
-                CASE WHEN ce.excluded = true THEN true ELSE false END as excluded
-            FROM customer_aggregates ca
-            LEFT JOIN customer_locations cl ON ca.customer_name = cl.customer_name
-            LEFT JOIN customer_exclusions ce ON ca.customer_name = ce.customer_name
-            ORDER BY ca.customer_name
-        `);
-
-        const stats = await pool.query(`
             SELECT 
+                COUNT(*) as total_records,
                 COUNT(DISTINCT customer_name) as total_customers,
-                COUNT(DISTINCT country) as total_countries,
-                COUNT(*) as total_orders
+                COUNT(DISTINCT title) as total_titles
             FROM records
-            WHERE customer_name IS NOT NULL
         `);
-
-        res.json({
-            customers: result.rows,
-            stats: stats.rows[0]
-        });
+        res.json(result.rows[0]);
     } catch (err) {
-        console.error('Database error in /api/customers:', err);
-        res.status(500).json({ 
-            error: 'Database error', 
-            details: err.message 
-        });
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
     }
 });
 
-// Update customer location
-app.post('/api/customers/update', async (req, res) => {
-    const { customerName, field, value } = req.body;
-
+// Currencies in use. Amounts are converted via the base currency.
+app.get('/api/currencies', requireAuth, async (req, res) => {
     try {
-        if (field === 'country' || field === 'city') {
-            await pool.query(
-                `UPDATE records SET ${field} = $1 WHERE customer_name = $2`,
-                [value, customerName]
-            );
-            res.json({ success: true });
-        } else {
-            res.status(400).json({ error: 'Invalid field' });
-        }
+        const result = await pool.query(`
+            SELECT currency FROM records WHERE currency IS NOT NULL
+            UNION SELECT currency FROM booksonix_records WHERE currency IS NOT NULL
+            UNION SELECT currency FROM exchange_rates
+            ORDER BY currency
+        `);
+        const currencies = result.rows.map(row => row.currency);
+        if (!currencies.includes(BASE_CURRENCY)) currencies.unshift(BASE_CURRENCY);
+        res.json({ base: BASE_CURRENCY, currencies });
     } catch (err) {
         console.error('Database error:', err);
         res.status(500).json({ error: 'Database error' });
     }
 });
 
-// Bulk update customer locations
-app.post('/api/customers/bulk-update', async (req, res) => {
-    const { updates } = req.body;
-    let updatedCount = 0;
+// Exchange rates, newest first, optionally for one currency and date range
+app.get('/api/exchange-rates', requireAuth, async (req, res) => {
+    const params = [];
+    const where = [];
+    if (req.query.currency) {
+        params.push(String(req.query.currency).toUpperCase());
+        where.push(`currency = $${params.length}`);
+    }
+    if (req.query.startDate) {
+        params.push(req.query.startDate);
+        where.push(`rate_date >= $${params.length}`);
+    }
+    if (req.query.endDate) {
+        params.push(req.query.endDate);
+        where.push(`rate_date <= $${params.length}`);
+    }
 
     try {
-        for (const update of updates) {
-            const result = await pool.query(
-                'UPDATE records SET country = $1, city = $2 WHERE customer_name = $3',
-                [update.country, update.city, update.customerName]
-            );
-            updatedCount += result.rowCount;
-        }
-        res.json({ success: true, updated: updatedCount });
+        const result = await pool.query(
+            `SELECT id, TO_CHAR(rate_date, 'YYYY-MM-DD') AS rate_date, currency, rate, source, created_at
+             FROM exchange_rates
+             ${where.length > 0 ? 'WHERE ' + where.join(' AND ') : ''}
+             ORDER BY rate_date DESC, currency
+             LIMIT 1000`,
+            params
+        );
+        res.json({ base: BASE_CURRENCY, rates: result.rows });
     } catch (err) {
         console.error('Database error:', err);
         res.status(500).json({ error: 'Database error' });
     }
 });
 
-// Exclude/Include customers
-app.post('/api/customers/exclude', async (req, res) => {
-    const { customers, excluded } = req.body;
+// Add or replace the rate for a currency on a date
+app.post('/api/exchange-rates', requireEditor, async (req, res) => {
+    const { rate, error } = validateExchangeRate(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
 
     try {
-        for (const customerName of customers) {
-            await pool.query(
-                `INSERT INTO customer_exclusions (customer_name, excluded) 
-                 VALUES ($1, $2) 
-                 ON CONFLICT (customer_name) 
-                 DO UPDATE SET excluded = $2, updated_at = CURRENT_TIMESTAMP`,
-                [customerName, excluded]
-            );
-        }
-        res.json({ success: true });
+        await saveExchangeRates(pool, [rate], 'manual');
+        await recordAudit(pool, req.user.id, 'save', 'exchange_rate', `${rate.currency} ${rate.rate_date}`, null, rate);
+        res.json({ success: true, rate });
     } catch (err) {
         console.error('Database error:', err);
         res.status(500).json({ error: 'Database error' });
     }
 });
 
-// Get titles for autocomplete
-app.get('/api/titles', async (req, res) => {
+app.delete('/api/exchange-rates/:id', requireEditor, async (req, res) => {
     try {
         const result = await pool.query(
-            'SELECT DISTINCT title FROM records WHERE title IS NOT NULL ORDER BY title'
+            `DELETE FROM exchange_rates WHERE id = $1
+             RETURNING currency, TO_CHAR(rate_date, 'YYYY-MM-DD') AS rate_date, rate`,
+            [req.params.id]
         );
-        res.json(result.rows);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Exchange rate not found' });
+        }
+        const removed = result.rows[0];
+        await recordAudit(pool, req.user.id, 'delete', 'exchange_rate', `${removed.currency} ${removed.rate_date}`, removed);
+        res.json({ success: true });
     } catch (err) {
         console.error('Database error:', err);
         res.status(500).json({ error: 'Database error' });
     }
 });
 
-// Generate report
-app.post('/api/generate-report', async (req, res) => {
+// Import exchange rates from a CSV or workbook; existing rates for the same
+// currency and date are replaced
+app.post('/api/exchange-rates/import', requireEditor, upload.single('ratesFile'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
     try {
-        const { publisher, startDate, endDate, titles } = req.body;
-        
-        console.log('Generate report request:', { publisher, startDate, endDate, titlesCount: titles.length });
-        
-        if (!publisher || !startDate || !endDate || !titles || titles.length === 0) {
-            return res.status(400).json({ error: 'Missing required parameters' });
+        const sheets = await readImportSheets(req.file.path);
+        fs.unlinkSync(req.file.path);
+        if (sheets.length === 0) {
+            return res.status(400).json({ error: 'The file has no data' });
         }
-        
-        const query = `
-            SELECT 
-                r.customer_name,
-                r.country,
-                r.city,
-                COUNT(*) as total_orders,
-                SUM(r.quantity) as total_quantity,
-                SUM(r.total) as total_revenue,
-                MAX(r.order_date) as last_order
-            FROM records r
-            LEFT JOIN customer_exclusions ce ON r.customer_name = ce.customer_name
-            WHERE r.order_date >= $1 
-            AND r.order_date <= $2
-            AND r.title = ANY($3::text[])
-            AND COALESCE(ce.excluded, false) = false
-            GROUP BY r.customer_name, r.country, r.city
-            ORDER BY total_revenue DESC
-        `;
-        
-        const params = [startDate, endDate, titles];
-        
-        console.log('Executing query with params:', { startDate, endDate, titlesCount: titles.length });
-        
-        const result = await pool.query(query, params);
-        
-        console.log(`Report generated: ${result.rows.length} customers found`);
-        
-        res.json({
-            data: result.rows,
-            totalCustomers: result.rows.length,
-            publisher: publisher,
-            startDate: startDate,
-            endDate: endDate,
-            titles: titles
+
+        const { rates, rejected } = parseExchangeRateSheet(sheets[0]);
+        const imported = await withTransaction(async (client) => {
+            const saved = await saveExchangeRates(client, rates, 'import');
+            await recordAudit(client, req.user.id, 'import', 'exchange_rate', null, null,
+                { filename: req.file.originalname, imported: saved, rejected: rejected.length });
+            return saved;
         });
-        
+        res.json({ success: true, imported, rejected });
     } catch (error) {
-        console.error('Generate report error:', error);
-        res.status(500).json({ error: 'Failed to generate report: ' + error.message });
+        if (fs.existsSync(req.file.path)) {
+            fs.unlinkSync(req.file.path);
+        }
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Exchange rate import error:', error);
+        res.status(500).json({ error: 'Database error' });
     }
 });
 
-// Update record
-app.post('/api/update-record', async (req, res) => {
-    const { id, customer_name, country, city, title } = req.body;
+// Sales analytics. All endpoints take startDate, endDate (YYYY-MM-DD,
+// default the last twelve months), and optional publisher and country filters
+// and reporting currency.
+app.get('/api/analytics/summary', requireAuth, analyticsRoute(filters => analyticsTotals(filters)));
 
+app.get('/api/analytics/timeseries', requireAuth, analyticsRoute(async (filters, query) => {
+    const interval = query.interval || 'month';
+    if (!ANALYTICS_INTERVALS[interval]) {
+        throw httpError(400, `Interval must be one of: ${Object.keys(ANALYTICS_INTERVALS).join(', ')}`);
+    }
+    return {
+        interval,
+        startDate: filters.startDate,
+        endDate: filters.endDate,
+        series: await analyticsTimeSeries(filters, interval)
+    };
+}));
+
+app.get('/api/analytics/top-titles', requireAuth, analyticsRoute(async (filters, query) => {
+    const metric = parseAnalyticsMetric(query.metric);
+    const scope = analyticsScope(filters);
+    scope.params.push(parseAnalyticsLimit(query.limit));
+    const result = await pool.query(
+        `SELECT r.title, MAX(r.isbn13) AS isbn13, COUNT(DISTINCT r.customer_name) AS customers, ${ANALYTICS_TOTALS}
+         ${scope.from}
+         GROUP BY r.title
+         ORDER BY ${metric} DESC, r.title
+         LIMIT $${scope.params.length}`,
+        scope.params
+    );
+    return result.rows.map(analyticsNumbers);
+}));
+
+app.get('/api/analytics/top-customers', requireAuth, analyticsRoute(async (filters, query) => {
+    const metric = parseAnalyticsMetric(query.metric);
+    const scope = analyticsScope(filters);
+    scope.params.push(parseAnalyticsLimit(query.limit));
+    const result = await pool.query(
+        `SELECT r.customer_name, MAX(c.country_code) AS country, MAX(c.city) AS city,
+                COUNT(DISTINCT r.title) AS titles, ${ANALYTICS_TOTALS}
+         ${scope.from}
+         GROUP BY r.customer_name
+         ORDER BY ${metric} DESC, r.customer_name
+         LIMIT $${scope.params.length}`,
+        scope.params
+    );
+    return result.rows.map(row => ({ ...analyticsNumbers(row), country: expandCountryName(row.country) }));
+}));
+
+app.get('/api/analytics/geography', requireAuth, analyticsRoute(async (filters, query) => {
+    const by = query.by || 'country';
+    if (by !== 'country' && by !== 'city') {
+        throw httpError(400, 'Breakdown must be by country or city');
+    }
+    return analyticsGeography(filters, by);
+}));
+
+// Compare the period with the one before it, or the same dates a year earlier
+app.get('/api/analytics/compare', requireAuth, analyticsRoute(async (filters, query) => {
+    const compareTo = query.compareTo || 'previous';
+    let previousFilters;
+    if (compareTo === 'year') {
+        previousFilters = {
+            ...filters,
+            startDate: shiftIsoDate(filters.startDate, -1, 0),
+            endDate: shiftIsoDate(filters.endDate, -1, 0)
+        };
+    } else if (compareTo === 'previous') {
+        const days = Math.round((Date.parse(filters.endDate) - Date.parse(filters.startDate)) / 86400000) + 1;
+        previousFilters = {
+            ...filters,
+            startDate: shiftIsoDate(filters.startDate, 0, -days),
+            endDate: shiftIsoDate(filters.startDate, 0, -1)
+        };
+    } else {
+        throw httpError(400, 'compareTo must be previous or year');
+    }
+
+    const current = await analyticsTotals(filters);
+    const previous = await analyticsTotals(previousFilters);
+    const change = {};
+    ['quantity', 'revenue', 'orders', 'customers', 'titles'].forEach(key => {
+        change[key] = percentChange(current[key], previous[key]);
+    });
+    return { compareTo, current, previous, change };
+}));
+
+// Preview or apply the one-off repair of Shopify lines imported with a unit
+// price as their total
+app.post('/api/records/repair-shopify-totals', requireAdmin, async (req, res) => {
     try {
-        await pool.query(
-            'UPDATE records SET customer_name = $1, country = $2, city = $3, title = $4 WHERE id = $5',
-            [customer_name, country, city, title, id]
-        );
-        res.json({ success: true });
+        const apply = req.body.apply === true;
+        const result = await withTransaction(async (client) => {
+            const repair = await repairShopifyLineTotals(client, apply);
+            if (repair.repaired > 0) {
+                await recordAudit(client, req.user.id, 'repair_shopify_totals', 'record', null, null, { repaired: repair.repaired });
+            }
+            return repair;
+        });
+        if (result.repaired > 0) {
+            console.log(`Repaired ${result.repaired} Shopify sales lines`);
+        }
+        res.json(result);
     } catch (err) {
         console.error('Database error:', err);
         res.status(500).json({ error: 'Database error' });
     }
 });
 
-// Settings endpoints
-app.get('/api/mappings', async (req, res) => {
+// Download a backup archive (JSON lines). Password hashes are only included
+// with ?includePasswords=true.
+app.get('/api/backup', requireAdmin, async (req, res) => {
+    const includePasswords = req.query.includePasswords === 'true';
+
     try {
-        const mappings = Object.entries(customerNameMappings).map(([original, display], index) => ({
-            id: index + 1,
-            original_name: original,
-            display_name: display
-        }));
-        res.json(mappings);
+        const tables = await readArchiveTables(includePasswords);
+        const header = archiveHeader(tables, includePasswords);
+        await recordAudit(pool, req.user.id, 'export', 'archive', null, null,
+            { format: 'jsonl', include_passwords: includePasswords, tables: header.tables });
+
+        res.attachment(`stockist-backup-${header.created_at.slice(0, 10)}.jsonl`);
+        res.type('application/x-ndjson');
+        res.write(JSON.stringify(header) + '\n');
+        for (const [table, rows] of Object.entries(tables)) {
+            rows.forEach(row => res.write(JSON.stringify({ table, row }) + '\n'));
+        }
+        res.end();
     } catch (err) {
-        console.error('Error loading mappings:', err);
-        res.status(500).json({ error: 'Error loading mappings' });
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
     }
 });
 
-app.post('/api/mappings', async (req, res) => {
-    const { original_name, display_name } = req.body;
-    customerNameMappings[original_name] = display_name;
-    res.json({ success: true });
-});
-
-app.delete('/api/mappings/:id', async (req, res) => {
-    // Note: This is a simplified version - in production you'd want to persist these
-    res.json({ success: true });
-});
+// Download the same archive as a workbook with one sheet per table
+app.get('/api/export-all', requireAdmin, async (req, res) => {
+    const includePasswords = req.query.includePasswords === 'true';
 
-app.get('/api/stats', async (req, res) => {
     try {
-        const result = await pool.query(`
-            SELECT 
-                COUNT(*) as total_records,
-                COUNT(DISTINCT customer_name) as total_customers,
-                COUNT(DISTINCT title) as total_titles
-            FROM records
-        `);
-        res.json(result.rows[0]);
+        const tables = await readArchiveTables(includePasswords);
+        const workbook = archiveWorkbook(tables, includePasswords);
+        await recordAudit(pool, req.user.id, 'export', 'archive', null, null,
+            { format: 'xlsx', include_passwords: includePasswords, tables: archiveHeader(tables, includePasswords).tables });
+
+        res.attachment(`stockist-export-${new Date().toISOString().slice(0, 10)}.xlsx`);
+        res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.send(xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
     } catch (err) {
         console.error('Database error:', err);
         res.status(500).json({ error: 'Database error' });
     }
 });
 
+// Restore a backup or Export All file. mode is 'merge' (the default) or
+// 'empty'; either way the restore is all or nothing.
+app.post('/api/restore', requireAdmin, upload.single('archiveFile'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const mode = req.body.mode || 'merge';
+    try {
+        if (!['merge', 'empty'].includes(mode)) {
+            throw httpError(400, 'Mode must be merge or empty');
+        }
+        const archive = await readArchiveFile(req.file.path);
+        fs.unlinkSync(req.file.path);
+
+        const result = await withTransaction(async (client) => {
+            const restored = await restoreArchive(client, archive, mode);
+            await recordAudit(client, req.user.id, 'restore', 'archive', null, null, {
+                filename: req.file.originalname,
+                mode,
+                version: archive.header.version,
+                created_at: archive.header.created_at,
+                tables: restored.tables
+            });
+            return restored;
+        });
+
+        await loadMappingCache();
+        await loadReportSchedules();
+        res.json({ success: true, mode, version: archive.header.version, ...result });
+    } catch (error) {
+        if (fs.existsSync(req.file.path)) {
+            fs.unlinkSync(req.file.path);
+        }
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        if (error.code === '23505') {
+            return res.status(409).json({ error: `Restore conflicts with existing data: ${error.detail || error.message}` });
+        }
+        console.error('Restore error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
 // Clear all records endpoint (reconnecting existing functionality)
-app.delete('/api/clear-data', async (req, res) => {
+app.delete('/api/clear-data', requireAdmin, async (req, res) => {
     try {
         // Clear the main records table
-        await pool.query('DELETE FROM records');
+        const records = await pool.query('DELETE FROM records');
         
         // Reset the upload log
-        await pool.query('DELETE FROM upload_log');
+        const uploads = await pool.query('DELETE FROM upload_log');
         
         // Reset customer exclusions if needed
-        await pool.query('DELETE FROM customer_exclusions');
+        const exclusions = await pool.query('DELETE FROM customer_exclusions');
         
+        await recordAudit(pool, req.user.id, 'clear', 'record', null,
+            { records: records.rowCount, uploads: uploads.rowCount, exclusions: exclusions.rowCount });
         console.log('All records cleared successfully');
         
         res.json({ 
@@ -1187,10 +7296,11 @@ app.delete('/api/clear-data', async (req, res) => {
 });
 
 // Clear Booksonix records endpoint
-app.delete('/api/clear-booksonix', async (req, res) => {
+app.delete('/api/clear-booksonix', requireAdmin, async (req, res) => {
     try {
         // Clear only the booksonix_records table
         const result = await pool.query('DELETE FROM booksonix_records');
+        await recordAudit(pool, req.user.id, 'clear', 'booksonix', null, { records: result.rowCount });
         
         console.log(`Cleared ${result.rowCount} Booksonix records`);
         
@@ -1209,10 +7319,12 @@ app.delete('/api/clear-booksonix', async (req, res) => {
 });
 
 // Reset all exclusions endpoint
-app.post('/api/reset-exclusions', async (req, res) => {
+app.post('/api/reset-exclusions', requireAdmin, async (req, res) => {
     try {
         // Clear all customer exclusions
-        const result = await pool.query('DELETE FROM customer_exclusions');
+        const result = await pool.query('DELETE FROM customer_exclusions RETURNING customer_name, excluded');
+        await recordAudit(pool, req.user.id, 'reset_exclusions', 'customer', null,
+            { exclusions: result.rows.filter(row => row.excluded).map(row => row.customer_name) });
         
         console.log(`Reset ${result.rowCount} customer exclusions`);
         
@@ -1231,7 +7343,7 @@ app.post('/api/reset-exclusions', async (req, res) => {
 });
 
 // User management endpoints
-app.get('/api/users', async (req, res) => {
+app.get('/api/users', requireAdmin, async (req, res) => {
     try {
         const result = await pool.query(
             'SELECT id, username, email, role, created_at, last_login FROM users ORDER BY id'
@@ -1243,19 +7355,25 @@ app.get('/api/users', async (req, res) => {
     }
 });
 
-app.post('/api/users', async (req, res) => {
+app.post('/api/users', requireAdmin, async (req, res) => {
     const { username, email, password, role } = req.body;
 
     if (!username || !email || !password) {
         return res.status(400).json({ error: 'Username, email, and password are required' });
     }
 
+    if (role && !ROLES.includes(role)) {
+        return res.status(400).json({ error: 'Invalid role' });
+    }
+
     try {
         const hashedPassword = await bcrypt.hash(password, 10);
         const result = await pool.query(
             'INSERT INTO users (username, email, password, role) VALUES ($1, $2, $3, $4) RETURNING id',
             [username, email, hashedPassword, role || 'editor']
         );
+        await recordAudit(pool, req.user.id, 'create', 'user', result.rows[0].id, null,
+            { username, email, role: role || 'editor' });
         res.json({ success: true, id: result.rows[0].id });
     } catch (err) {
         if (err.code === '23505') {
@@ -1267,11 +7385,31 @@ app.post('/api/users', async (req, res) => {
     }
 });
 
-app.put('/api/users/:id', async (req, res) => {
+app.put('/api/users/:id', requireAdmin, async (req, res) => {
     const { id } = req.params;
     const { username, email, password, role } = req.body;
 
+    if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: 'Invalid role' });
+    }
+
     try {
+        const existing = await pool.query('SELECT username, email, role FROM users WHERE id = $1', [id]);
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (existing.rows[0].role === 'admin' && role !== 'admin') {
+            const adminCount = await pool.query(
+                "SELECT COUNT(*) as count FROM users WHERE role = 'admin' AND id != $1",
+                [id]
+            );
+
+            if (parseInt(adminCount.rows[0].count) === 0) {
+                return res.status(400).json({ error: 'Cannot remove the admin role from the last admin user' });
+            }
+        }
+
         let query = 'UPDATE users SET username = $1, email = $2, role = $3';
         let params = [username, email, role];
         let paramIndex = 4;
@@ -1291,6 +7429,17 @@ app.put('/api/users/:id', async (req, res) => {
         if (result.rowCount === 0) {
             return res.status(404).json({ error: 'User not found' });
         }
+        // Password hashes stay out of the audit log; only the fact of a change is kept
+        await recordAudit(pool, req.user.id, 'update', 'user', id, existing.rows[0],
+            { username, email, role, password_changed: Boolean(password) });
+
+        // A password change signs the user out everywhere else
+        if (password) {
+            await pool.query(
+                'DELETE FROM user_sessions WHERE user_id = $1 AND token_hash <> $2',
+                [id, req.sessionToken ? hashSessionToken(req.sessionToken) : '']
+            );
+        }
 
         res.json({ success: true });
     } catch (err) {
@@ -1303,11 +7452,11 @@ app.put('/api/users/:id', async (req, res) => {
     }
 });
 
-app.delete('/api/users/:id', async (req, res) => {
+app.delete('/api/users/:id', requireAdmin, async (req, res) => {
     const { id } = req.params;
 
     try {
-        const userResult = await pool.query('SELECT role FROM users WHERE id = $1', [id]);
+        const userResult = await pool.query('SELECT username, email, role FROM users WHERE id = $1', [id]);
         if (userResult.rows.length === 0) {
             return res.status(404).json({ error: 'User not found' });
         }
@@ -1324,6 +7473,7 @@ app.delete('/api/users/:id', async (req, res) => {
         }
 
         await pool.query('DELETE FROM users WHERE id = $1', [id]);
+        await recordAudit(pool, req.user.id, 'delete', 'user', id, userResult.rows[0]);
         res.json({ success: true });
     } catch (err) {
         console.error('Database error:', err);
@@ -1331,7 +7481,7 @@ app.delete('/api/users/:id', async (req, res) => {
     }
 });
 
-app.get('/api/users/:id', async (req, res) => {
+app.get('/api/users/:id', requireAdmin, async (req, res) => {
     const { id } = req.params;
     
     try {
@@ -1351,11 +7501,105 @@ app.get('/api/users/:id', async (req, res) => {
     }
 });
 
-// Put settings
-app.put('/api/settings', async (req, res) => {
-    // In a production app, you'd save these settings to the database
-    console.log('Settings update:', req.body);
-    res.json({ success: true });
+// Get the general settings
+app.get('/api/settings', requireAuth, async (req, res) => {
+    try {
+        res.json(await loadSettings());
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Save general settings. Only the keys sent are changed.
+app.put('/api/settings', requireAdmin, async (req, res) => {
+    const changes = {};
+    for (const [key, value] of Object.entries(req.body || {})) {
+        const parsed = parseSettingValue(key, value);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+        changes[key] = parsed.value;
+    }
+
+    try {
+        const settings = await withTransaction(async (client) => {
+            const before = await loadSettings(client);
+            for (const [key, value] of Object.entries(changes)) {
+                await client.query(
+                    `INSERT INTO settings (key, value, updated_by) VALUES ($1, $2, $3)
+                     ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP`,
+                    [key, JSON.stringify(value), req.user.id]
+                );
+            }
+            const after = await loadSettings(client);
+            const changed = Object.keys(changes).filter(key => before[key] !== after[key]);
+            if (changed.length > 0) {
+                await recordAudit(client, req.user.id, 'update', 'settings', null,
+                    Object.fromEntries(changed.map(key => [key, before[key]])),
+                    Object.fromEntries(changed.map(key => [key, after[key]])));
+            }
+            return after;
+        });
+        res.json({ success: true, settings });
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Search the audit log (admin only). Filters: userId, entityType, entityId,
+// action, startDate, endDate; paged with limit and offset.
+app.get('/api/audit-log', requireAdmin, async (req, res) => {
+    try {
+        const filters = parseAuditFilters(req.query);
+        const total = await pool.query(`SELECT COUNT(*) AS count FROM audit_log a ${filters.where}`, filters.params);
+        const result = await pool.query(
+            `SELECT a.* FROM audit_log a ${filters.where}
+             ORDER BY a.created_at DESC, a.id DESC
+             LIMIT ${filters.limit} OFFSET ${filters.offset}`,
+            filters.params
+        );
+        res.json({
+            entries: result.rows,
+            total: parseInt(total.rows[0].count, 10),
+            limit: filters.limit,
+            offset: filters.offset,
+            entityTypes: AUDIT_ENTITY_TYPES
+        });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// History of one record, customer or upload, for the pages that show it
+app.get('/api/audit-log/:entityType/:entityId', requireAuth, async (req, res) => {
+    if (!AUDIT_ENTITY_TYPES.includes(req.params.entityType)) {
+        return res.status(400).json({ error: 'Invalid entity type' });
+    }
+    // Account and settings changes are for admins only, as in the full search
+    if (['user', 'settings'].includes(req.params.entityType) && req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    try {
+        const result = await pool.query(
+            `SELECT id, username, action, before_values, after_values, created_at
+             FROM audit_log
+             WHERE entity_type = $1 AND entity_id = $2
+             ORDER BY created_at DESC, id DESC
+             LIMIT 200`,
+            [req.params.entityType, req.params.entityId]
+        );
+        res.json(result.rows);
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
 });
 
 // Health check endpoint
@@ -1377,17 +7621,28 @@ app.get('/health', async (req, res) => {
     }
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-    console.log(`Visit http://localhost:${PORT} to access the application`);
-    console.log('=================================');
-    console.log('IMPORTANT: Default admin credentials');
-    console.log('Username: admin');
-    console.log('Password: admin123');
-    console.log('Please change this password after first login!');
-    console.log('=================================');
-});
+// Run a migration or backfill command, or start the server and migrate the database
+if (process.argv[2] === 'migrate') {
+    runMigrationCommand(process.argv.slice(3));
+} else if (process.argv[2] === 'backfill') {
+    runBackfillCommand();
+} else {
+    app.listen(PORT, () => {
+        console.log(`Server running on port ${PORT}`);
+        console.log(`Visit http://localhost:${PORT} to access the application`);
+        console.log('=================================');
+        console.log('IMPORTANT: Default admin credentials');
+        console.log('Username: admin');
+        console.log('Password: admin123');
+        console.log('Please change this password after first login!');
+        console.log('=================================');
+    });
+
+    // Initialize database on startup, then start the report schedules
+    initDatabase().then(loadReportSchedules).catch(err => {
+        console.error('Failed to initialize database:', err);
+    });
+}
 
 // Graceful shutdown
 process.on('SIGINT', () => {